@@ -0,0 +1,725 @@
+/**
+ * Activity Builder module for 5e-content-importer
+ * Builds dnd5e 4.x activity data (system.activities) from parsed text
+ */
+
+import { spbiUtils } from "../spbiUtils.js";
+
+export class activityBuilder {
+    static damageTypes = [
+        "acid", "bludgeoning", "cold", "fire", "force", "lightning", "necrotic",
+        "piercing", "poison", "psychic", "radiant", "slashing", "thunder"
+    ];
+
+    static abilityMap = {
+        "strength": "str",
+        "dexterity": "dex",
+        "constitution": "con",
+        "intelligence": "int",
+        "wisdom": "wis",
+        "charisma": "cha"
+    };
+
+    // Text that marks the start of the upcast section of a spell description
+    static #higherLevels = /(?:at higher levels|using a higher-level spell slot|cantrip upgrade)\s*[.:]?|(?=when you cast this spell using a spell slot of)/i;
+    static #slotIncrease = /increases? by (?<formula>\d+d\d+|\d+)|(?<formula2>\d+d\d+|\d+) (?:additional|extra)/i;
+    static #perSlot = /(?:each|every|per)\s+(?<two>two\s+)?(?:spell\s+)?slot\s+levels?|(?:each|every) (?:spell )?slot (?:used )?higher than/i;
+    static #extraTargets = /(?<count>an?|one|two|three|four|five|six|\d+) additional (?:willing )?(?:creature|target|humanoid|beast|object|undead|corpse|ally|allies|bolt|dart|ray)s?\b/i;
+    static #areaLine = /line (?<size>\d+) (?<units>feet|foot|miles?) long and (?<width>\d+) (?:feet|foot) wide|(?<size2>\d+)-(?<units2>foot|mile)-long,? (?<width2>\d+)-foot-wide line|(?<size3>\d+)[- ](?<units3>foot|feet|mile)[- ]line(?: that is (?<width3>\d+) (?:feet|foot) wide)?/i;
+    static #areaCylinder = /(?<size>\d+)-(?<units>foot|mile)[- ]radius,? (?<height>\d+)-(?:foot|mile)[- ](?:high|tall) cylinder/i;
+    static #areaWall = /wall (?:up to )?(?<size>\d+) (?<units>feet|foot) long, (?<height>\d+) (?:feet|foot) (?:high|tall),? and (?<width>\d+) (?<widthUnits>feet|foot|inch|inches) thick/i;
+    static #areaRadius = /(?<size>\d+)-(?<units>foot|mile)[- ]radius(?: (?<shape>sphere|circle|cylinder))?/i;
+    static #areaShape = /(?<size>\d+)[- ](?<units>foot|feet|mile)[- ](?<shape>cone|cube|sphere|square|cylinder|emanation|radius|line|circle)/i;
+    static #affectsCount = /\b(?<upTo>up to )?(?<count>an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve|\d+|any number of) (?<willing>willing )?(?<type>creature|humanoid|beast|target|object|corpse|ally|allies)s?\b(?<choice> of your choice)?/i;
+    static #affectsEach = /\beach (?<type>creature|object|target)\b/i;
+    static #cantripTier = /(?:5th level|level 5|levels 5)\s*\((?<number>\d+)d(?<denomination>\d+)\)/i;
+    static #spellAttack = /(melee|ranged) spell attack/i;
+    static #save = /(?:DC\s*(?<dc>\d+)\s+)?(?<ability>strength|dexterity|constitution|intelligence|wisdom|charisma)\s+sav(?:ing throw|e)/i;
+    static #healing = /regains?\s+(?:a number of\s+)?hit points equal to\s+(?<formula>\d+d\d+(?:\s*(?:[+-]|plus)\s*(?:\d+|your spellcasting ability modifier))?)|regains?\s+(?<formula2>\d+d\d+(?:\s*[+-]\s*\d+)?|\d+)\s+hit points/i;
+    static #chargeCost = /\bexpend (?<cost>\d+|one|two|three|four|five|a|an)(?<more> or more)? (?:of (?:its|the \w+'s) )?charges? (?:to |and )(?<action>[^.;,(]+)/gi;
+    static #spellList = /\bcast (?:one of )?the following spells from (?:it|the \w+)(?<details>[^:]*):\s*(?<list>[^.]+)/i;
+    static #singleSpell = /\bexpend (?<cost>\d+|one|two|three|four|five|a|an)(?<more> or more)? (?:of (?:its|the \w+'s) )?charges? to cast (?:the )?(?<spell>[a-z' -]+?)(?: spell)?(?<details> \([^)]*\))? from (?:it|the \w+)/gi;
+    static #listEntry = /^(?:or |and )?(?<spell>[a-z' /-]+?)\s*(?:\((?<cost>\d+|one|two|three|four|five|six|seven|eight|nine|ten) charges?(?<per> per (?:spell )?level)?(?:,? up to (?<max>\d+)(?:st|nd|rd|th))?[^)]*\))?$/i;
+    static #castLevel = /(?<level>\d+)(?:st|nd|rd|th)[- ]level version|level (?<level2>\d+) version/i;
+    static #castDc = /\bsave DC (?:of )?(?<dc>\d+)|spell save DC (?:of|is) (?<dc2>\d+)/i;
+    static #castAttack = /(?<attack>[+-]\d+) to hit|spell attack (?:bonus|modifier) (?:of|is) (?<attack2>[+-]?\d+)/i;
+    static #tempHp = /(?<formula>\d+d\d+(?:\s*[+-]\s*(?:\d+|your spellcasting ability modifier))?|\d+)\s+temporary hit points|temporary hit points equal to\s+(?<formula2>\d+d\d+(?:\s*[+-]\s*\d+)?|\d+)/i;
+
+    /**
+     * Create the source data for a single activity
+     * @param {string} type - The activity type (attack, save, damage, heal, utility, ...)
+     * @param {Object} data - Type specific data merged into the activity
+     * @returns {Object} - The activity source data
+     */
+    static createActivity(type, data = {}) {
+        return {
+            _id: foundry.utils.randomID(),
+            type: type,
+            activation: { type: "", value: null, condition: "", override: false },
+            consumption: {
+                scaling: { allowed: false, max: "" },
+                spellSlot: true,
+                targets: []
+            },
+            description: { chatFlavor: "" },
+            duration: { concentration: false, override: false },
+            effects: [],
+            range: { override: false },
+            target: { override: false, prompt: true },
+            uses: { spent: 0, max: "", recovery: [] },
+            ...data
+        };
+    }
+
+    /**
+     * Turn a list of activities into the keyed collection stored in system.activities
+     * @param {Array<Object>} activities - The activity source data
+     * @returns {Object} - Activities keyed by their id
+     */
+    static toCollection(activities) {
+        return activities.reduce((collection, activity) => {
+            collection[activity._id] = activity;
+            return collection;
+        }, {});
+    }
+
+    /**
+     * Build a DamageData source object from a formula
+     * @param {string} formula - The roll formula (e.g. "2d6 + 3")
+     * @param {Array<string>} types - The damage or healing types
+     * @returns {Object} - DamageData source for the dnd5e damage field
+     */
+    static createDamagePart(formula, types = []) {
+        const part = {
+            number: null,
+            denomination: null,
+            bonus: "",
+            types: types,
+            custom: { enabled: false, formula: "" },
+            scaling: { mode: "", number: null, formula: "" }
+        };
+
+        // 2024 spells write the bonus as "2d8 plus your spellcasting ability modifier"
+        const cleaned = (formula ?? "")
+            .replace(/\s+plus\s+/i, " + ")
+            .replace(/your spellcasting ability modifier/i, "@mod")
+            .replace(/\s+/g, " ")
+            .trim();
+
+        const parsed = cleaned.match(/^(\d+)d(\d+)(?:\s*([+-])\s*(@?[\w.]+))?$/i);
+        if (parsed) {
+            part.number = parseInt(parsed[1]);
+            part.denomination = parseInt(parsed[2]);
+            if (parsed[4]) part.bonus = parsed[3] === "-" ? `-${parsed[4]}` : parsed[4];
+        } else if (cleaned) {
+            part.custom.enabled = true;
+            part.custom.formula = cleaned;
+        }
+
+        return part;
+    }
+
+    /**
+     * Extract every damage clause ("2d6 fire damage", "1d8 cold or fire damage") from text
+     * @param {string} text - The text to search
+     * @returns {Array<Object>} - DamageData source objects
+     */
+    static extractDamageParts(text) {
+        if (!text) return [];
+
+        const types = this.damageTypes.join("|");
+        const pattern = new RegExp(`(\\d+d\\d+(?:\\s*[+-]\\s*\\d+)?)\\s+((?:${types})(?:(?:,\\s*|\\s+or\\s+|,\\s*or\\s+)(?:${types}))*)\\s+damage`, "gi");
+
+        // "takes force damage equal to 1d8 + your spellcasting ability modifier"
+        const equalTo = new RegExp(`((?:${types})(?:(?:,\\s*|\\s+or\\s+|,\\s*or\\s+)(?:${types}))*)\\s+damage equal to\\s+(\\d+d\\d+(?:\\s*[+-]\\s*(?:\\d+|your spellcasting ability modifier))?)`, "gi");
+
+        const parts = [];
+        const seen = new Set();
+        const addPart = (formula, typeList) => {
+            const damageTypes = typeList.toLowerCase().split(/,\s*or\s+|,\s*|\s+or\s+/).map(t => t.trim());
+            const key = `${formula.replace(/\s+/g, "")}|${damageTypes.join(",")}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            parts.push(this.createDamagePart(formula, damageTypes));
+        };
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) addPart(match[1], match[2]);
+        while ((match = equalTo.exec(text)) !== null) addPart(match[2], match[1]);
+
+        return parts;
+    }
+
+    /**
+     * Extract the saving throw ability and fixed DC from text
+     * @param {string} text - The text to search
+     * @returns {Object|null} - { ability, dc } or null when there is no save
+     */
+    static extractSave(text) {
+        const match = this.#save.exec(text ?? "");
+        if (!match) return null;
+
+        return {
+            ability: this.abilityMap[match.groups.ability.toLowerCase()],
+            dc: match.groups.dc ? parseInt(match.groups.dc) : null
+        };
+    }
+
+    /**
+     * Determine how much damage a creature takes on a successful save
+     * @param {string} text - The text to search
+     * @returns {string} - "half", "none" or "full"
+     */
+    static extractOnSave(text) {
+        const lower = (text ?? "").toLowerCase();
+        if (/half as much damage|half damage/.test(lower)) return "half";
+        if (/on a successful save,? (?:the creature|it|the target)? ?takes the full damage/.test(lower)) return "full";
+        return "none";
+    }
+
+    /**
+     * Extract healing or temporary hit points from text
+     * @param {string} text - The text to search
+     * @returns {Object|null} - DamageData source with a healing or temphp type
+     */
+    static extractHealing(text) {
+        const healing = this.#healing.exec(text ?? "");
+        if (healing) {
+            return this.#healingPart(healing.groups.formula ?? healing.groups.formula2, ["healing"]);
+        }
+
+        const tempHp = this.#tempHp.exec(text ?? "");
+        if (tempHp) {
+            return this.#healingPart(tempHp.groups.formula ?? tempHp.groups.formula2, ["temphp"]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Create the healing part of an amount, a flat amount ("10 temporary hit points") is a bonus without dice
+     * @param {string} formula - "2d8 + 4", "10", ...
+     * @param {Array<string>} types - "healing" or "temphp"
+     * @returns {Object} - DamageData source
+     */
+    static #healingPart(formula, types) {
+        if (/^\d+$/.test(formula ?? "")) {
+            const part = this.createDamagePart("", types);
+            part.bonus = formula;
+            return part;
+        }
+        return this.createDamagePart(formula, types);
+    }
+
+    /**
+     * Parse the area of effect template from a piece of text
+     * @param {string} text - The range parenthetical or description to search
+     * @returns {Object|null} - TargetData template source or null if no area was found
+     */
+    static parseTemplate(text) {
+        if (!text) return null;
+
+        const unitsMap = { "foot": "ft", "feet": "ft", "mile": "mi", "miles": "mi" };
+        const shapeMap = { "emanation": "radius", "circle": "circle", "radius": "radius" };
+        const template = (type, groups, extra = {}) => ({
+            count: "",
+            contiguous: false,
+            type: type,
+            size: groups.size,
+            width: "",
+            height: "",
+            units: unitsMap[groups.units?.toLowerCase()] ?? "ft",
+            ...extra
+        });
+
+        let match = this.#areaWall.exec(text);
+        if (match) {
+            const thickness = parseInt(match.groups.width);
+            const width = /inch/i.test(match.groups.widthUnits) ? String(Math.round(thickness / 12 * 100) / 100) : String(thickness);
+            return template("wall", match.groups, { width, height: match.groups.height });
+        }
+
+        match = this.#areaLine.exec(text);
+        if (match) {
+            const g = match.groups;
+            return template("line", {
+                size: g.size ?? g.size2 ?? g.size3,
+                units: g.units ?? g.units2 ?? g.units3
+            }, { width: g.width ?? g.width2 ?? g.width3 ?? "5" });
+        }
+
+        match = this.#areaCylinder.exec(text);
+        if (match) return template("cylinder", match.groups, { height: match.groups.height });
+
+        match = this.#areaRadius.exec(text);
+        if (match) return template(match.groups.shape?.toLowerCase() ?? "radius", match.groups);
+
+        match = this.#areaShape.exec(text);
+        if (match) {
+            const shape = match.groups.shape.toLowerCase();
+            return template(shapeMap[shape] ?? shape, match.groups, shape === "line" ? { width: "5" } : {});
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse who or what a spell or ability affects
+     * @param {string} text - The description to search
+     * @param {Object|null} template - The parsed area template, if any
+     * @returns {Object} - TargetData affects source
+     */
+    static parseAffects(text, template = null) {
+        const affects = { count: "", type: "", choice: false, special: "" };
+        if (!text) return affects;
+
+        const typeMap = {
+            "creature": "creature", "humanoid": "creature", "beast": "creature", "target": "any",
+            "object": "object", "corpse": "object", "ally": "ally", "allies": "ally"
+        };
+
+        const counted = this.#affectsCount.exec(text);
+        const each = this.#affectsEach.exec(text);
+
+        if (template && each && (!counted || each.index < counted.index)) {
+            affects.type = typeMap[each.groups.type.toLowerCase()];
+            affects.choice = /of your choice/i.test(text);
+            return affects;
+        }
+
+        if (counted) {
+            const type = counted.groups.type.toLowerCase();
+            affects.type = counted.groups.willing ? "willing" : typeMap[type];
+            if (!/any number/i.test(counted.groups.count)) {
+                affects.count = String(spbiUtils.parseNumberWord(counted.groups.count) ?? "");
+            }
+            affects.choice = !!counted.groups.choice && !!template;
+        }
+
+        return affects;
+    }
+
+    /**
+     * Parse the full target data from a range line and a description
+     * @param {string} range - The range text, area parentheticals take priority
+     * @param {string} description - The description text
+     * @returns {Object} - TargetData source with template and affects
+     */
+    static parseTarget(range, description) {
+        const area = range?.match(/\(([^)]*)\)/)?.[1];
+        const { main } = this.splitHigherLevels(description);
+        const template = this.parseTemplate(area) ?? this.parseTemplate(main);
+        const affects = this.parseAffects(main, template);
+
+        if (!template && !affects.type && /^\s*self\s*$/i.test(range ?? "")) {
+            affects.type = "self";
+        }
+
+        return {
+            template: template ?? { count: "", contiguous: false, type: "", size: "", width: "", height: "", units: "ft" },
+            affects: affects
+        };
+    }
+
+    /**
+     * Split a spell description into its main text and the upcast section
+     * @param {string} description - The spell description
+     * @returns {Object} - { main, higherLevels }
+     */
+    static splitHigherLevels(description) {
+        const text = description ?? "";
+        const match = this.#higherLevels.exec(text);
+        if (!match) return { main: text, higherLevels: "" };
+
+        return {
+            main: text.substring(0, match.index),
+            higherLevels: text.substring(match.index + match[0].length).trim()
+        };
+    }
+
+    /**
+     * Parse the upcast or cantrip scaling rules of a spell
+     * @param {string} description - The spell description
+     * @param {number} level - The spell level, 0 for cantrips
+     * @returns {Object} - { damage, healing, targets } where damage and healing are
+     *                     { mode, dice, types } and targets is the extra count per level
+     */
+    static parseSpellScaling(description, level = 1) {
+        const { main, higherLevels } = this.splitHigherLevels(description);
+        const scaling = { damage: null, healing: null, targets: null };
+
+        if (level === 0) {
+            // "This spell's damage increases by 1d10 when you reach 5th level (2d10)"
+            const tier = this.#cantripTier.exec(description ?? "");
+            if (tier) {
+                scaling.damage = {
+                    mode: "whole",
+                    dice: { number: parseInt(tier.groups.number), denomination: parseInt(tier.groups.denomination) },
+                    types: [],
+                    cantrip: true
+                };
+            }
+            return scaling;
+        }
+
+        const text = higherLevels || main;
+        for (const sentence of text.split(/(?<=\.)\s+/)) {
+            const perSlot = this.#perSlot.exec(sentence);
+            if (!perSlot) continue;
+
+            const targets = this.#extraTargets.exec(sentence);
+            if (targets) {
+                scaling.targets = spbiUtils.parseNumberWord(targets.groups.count) ?? 1;
+                continue;
+            }
+
+            const increase = this.#slotIncrease.exec(sentence);
+            if (!increase) continue;
+
+            const formula = (increase.groups.formula ?? increase.groups.formula2).replace(/\s+/g, "");
+            const dice = formula.match(/^(\d+)d(\d+)$/);
+            const rule = {
+                mode: perSlot.groups.two ? "half" : "whole",
+                dice: dice ? { number: parseInt(dice[1]), denomination: parseInt(dice[2]) } : null,
+                formula: formula,
+                types: this.damageTypes.filter(type => new RegExp(`\\b${type}\\b`, "i").test(sentence))
+            };
+
+            if (/heal|hit points/i.test(sentence) && !/damage/i.test(sentence)) scaling.healing ??= rule;
+            else scaling.damage ??= rule;
+        }
+
+        return scaling;
+    }
+
+    /**
+     * Apply a parsed scaling rule to a damage part
+     * @param {Object} part - DamageData source object
+     * @param {Object} rule - Scaling rule from parseSpellScaling
+     * @private
+     */
+    static _applyPartScaling(part, rule) {
+        if (rule.cantrip) {
+            // Cantrip tiers list the total dice, the increase is the difference to the base dice
+            if (part.denomination !== rule.dice.denomination) return;
+            part.scaling = { mode: "whole", number: Math.max(rule.dice.number - (part.number ?? 0), 1), formula: "" };
+            return;
+        }
+
+        if (rule.dice && rule.dice.denomination === part.denomination) {
+            part.scaling = { mode: rule.mode, number: rule.dice.number, formula: "" };
+        } else {
+            part.scaling = { mode: rule.mode, number: null, formula: rule.formula };
+        }
+    }
+
+    /**
+     * Apply the scaling parsed from a spell description to its activities
+     * @param {Array<Object>} activities - The activity source data
+     * @param {Object} scaling - Result of parseSpellScaling
+     * @param {Object} target - The spell's own TargetData, used as the base for extra targets
+     * @private
+     */
+    static _applySpellScaling(activities, scaling, target) {
+        for (const activity of activities) {
+            if (scaling.damage && activity.damage?.parts?.length) {
+                const typed = activity.damage.parts.filter(part => part.types.some(type => scaling.damage.types.includes(type)));
+                for (const part of (typed.length ? typed : activity.damage.parts)) {
+                    this._applyPartScaling(part, scaling.damage);
+                }
+            }
+
+            if (scaling.healing && activity.healing) {
+                this._applyPartScaling(activity.healing, scaling.healing);
+            }
+
+            if (scaling.targets) {
+                // Activities only read their own target when overriding the one on the spell
+                const base = target?.affects?.count || "1";
+                activity.target = {
+                    ...activity.target,
+                    ...foundry.utils.deepClone(target ?? {}),
+                    override: true
+                };
+                activity.target.affects = {
+                    ...activity.target.affects,
+                    type: activity.target.affects?.type || "creature",
+                    count: `${base} + ${scaling.targets === 1 ? "" : `${scaling.targets} * `}@scaling.increase`
+                };
+            }
+        }
+    }
+
+    /**
+     * Build the activities for a spell from its description
+     * @param {string} description - The spell description text
+     * @param {Object} options - Additional spell details
+     * @param {number} options.level - The spell level, used to pick upcast or cantrip scaling
+     * @param {Object} options.target - The spell's TargetData
+     * @returns {Object} - Activities keyed by id, ready for system.activities
+     */
+    static buildSpellActivities(description, { level = 1, target = null } = {}) {
+        const { main } = this.splitHigherLevels(description);
+        const damageParts = this.extractDamageParts(main);
+        const healing = this.extractHealing(main);
+        const attack = this.#spellAttack.exec(main);
+        const save = this.extractSave(main);
+        const activities = [];
+
+        if (attack) {
+            activities.push(this.createActivity("attack", {
+                attack: {
+                    ability: "",
+                    bonus: "",
+                    critical: { threshold: null },
+                    flat: false,
+                    type: {
+                        value: attack[1].toLowerCase(),
+                        classification: "spell"
+                    }
+                },
+                damage: {
+                    critical: { bonus: "" },
+                    includeBase: true,
+                    parts: damageParts
+                }
+            }));
+        } else if (save) {
+            activities.push(this.createActivity("save", {
+                damage: {
+                    onSave: damageParts.length ? this.extractOnSave(main) : "none",
+                    parts: damageParts
+                },
+                save: {
+                    ability: [save.ability],
+                    dc: {
+                        calculation: save.dc ? "" : "spellcasting",
+                        formula: save.dc ? String(save.dc) : ""
+                    }
+                }
+            }));
+        } else if (damageParts.length) {
+            activities.push(this.createActivity("damage", {
+                damage: {
+                    critical: { allow: false, bonus: "" },
+                    parts: damageParts
+                }
+            }));
+        }
+
+        if (healing) {
+            activities.push(this.createActivity("heal", { healing }));
+        }
+
+        if (!activities.length) {
+            activities.push(this.createActivity("utility", {
+                roll: { formula: "", name: "", prompt: false, visible: false }
+            }));
+        }
+
+        this._applySpellScaling(activities, this.parseSpellScaling(description, level), target);
+
+        spbiUtils.log(`Built ${activities.length} spell activities`);
+        return this.toCollection(activities);
+    }
+
+    /**
+     * Build the heal, save and damage activities of a consumable, each using up one of the item's uses
+     * "You regain 2d4 + 2 hit points", "takes 3d6 poison damage on a failed DC 13 Constitution save"
+     * @param {string} description - The item description
+     * @returns {Array<Object>} - The activities, empty when the consumable doesn't heal or deal damage
+     */
+    static buildConsumableActivities(description) {
+        const damageParts = this.extractDamageParts(description);
+        const healing = this.extractHealing(description);
+        const save = this.extractSave(description);
+        const activities = [];
+
+        if (save) {
+            activities.push(this.createActivity("save", {
+                damage: {
+                    onSave: damageParts.length ? this.extractOnSave(description) : "none",
+                    parts: damageParts
+                },
+                save: {
+                    ability: [save.ability],
+                    dc: { calculation: "", formula: save.dc ? String(save.dc) : "" }
+                }
+            }));
+        } else if (damageParts.length) {
+            activities.push(this.createActivity("damage", {
+                damage: {
+                    critical: { allow: false, bonus: "" },
+                    parts: damageParts
+                }
+            }));
+        }
+
+        if (healing) {
+            activities.push(this.createActivity("heal", { healing }));
+        }
+
+        for (const activity of activities) {
+            activity.activation = { type: "action", value: 1, condition: "", override: false };
+            activity.consumption = {
+                scaling: { allowed: false, max: "" },
+                spellSlot: true,
+                targets: [{ type: "itemUses", value: "1", target: "", scaling: { mode: "", formula: "" } }]
+            };
+        }
+
+        spbiUtils.log(`Built ${activities.length} consumable activities`);
+        return activities;
+    }
+
+    /**
+     * Build one activity for every "expend N charges to ..." clause, consuming the item's own uses
+     * "1 or more" charges allow the consumption to scale
+     * @param {string} description - The item description
+     * @returns {Array<Object>} - Utility activities with item uses consumption
+     */
+    static buildChargeActivities(description) {
+        const activities = [];
+        const seen = new Set();
+
+        for (const match of (description ?? "").matchAll(this.#chargeCost)) {
+            const action = match.groups.action.replace(/\s+/g, " ").trim();
+            const name = action.replace(/^cast (?:the )?(?<spell>.+?)(?: spell)?(?: from (?:it|the \w+))?$/i, "cast $<spell>");
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) continue;
+            seen.add(key);
+
+            const scaling = !!match.groups.more;
+            activities.push(this.createActivity("utility", {
+                name: spbiUtils.capitalizeAll(name),
+                activation: { type: "action", value: 1, condition: "", override: false },
+                consumption: {
+                    scaling: { allowed: scaling, max: "" },
+                    spellSlot: true,
+                    targets: [{
+                        type: "itemUses",
+                        value: String(spbiUtils.parseNumberWord(match.groups.cost)),
+                        target: "",
+                        scaling: { mode: scaling ? "amount" : "", formula: "" }
+                    }]
+                },
+                roll: { formula: "", name: "", prompt: false, visible: false }
+            }));
+        }
+
+        spbiUtils.log(`Built ${activities.length} charge activities`);
+        return activities;
+    }
+
+    /**
+     * Find the spells an item can cast with its charges
+     * "expend 1 or more of its charges to cast the fireball spell (save DC 15) from it"
+     * "cast one of the following spells from it (save DC 15): burning hands (1 charge), fireball (3 charges)"
+     * @param {string} description - The item description
+     * @returns {Array<Object>} - { name, cost, scaling, max, level, dc, attack } for every spell
+     */
+    static parseItemSpells(description) {
+        const text = description ?? "";
+        const spells = [];
+
+        const list = this.#spellList.exec(text);
+        if (list) {
+            // The DC can come before or after the list ("using your spell save DC" leaves it to the caster)
+            const shared = this.#castChallenge(`${list.groups.details} ${text.slice(list.index + list[0].length, list.index + list[0].length + 200)}`);
+            const listCost = /\bexpend (?<cost>\d+|one|two|three|a|an)(?<more> or more)?/i.exec(text.slice(0, list.index));
+            for (const part of list.groups.list.split(/,\s*(?![^(]*\))/)) {
+                const entry = this.#listEntry.exec(part.trim());
+                if (!entry) continue;
+
+                const cost = spbiUtils.parseNumberWord(entry.groups.cost ?? listCost?.groups.cost ?? "1");
+                const level = entry.groups.per ? cost : null;
+                spells.push({
+                    name: entry.groups.spell.trim(),
+                    cost: cost,
+                    scaling: !!entry.groups.per,
+                    max: (entry.groups.per && entry.groups.max) ? String(parseInt(entry.groups.max) - level + 1) : "",
+                    level: level,
+                    ...shared
+                });
+            }
+        }
+
+        for (const match of text.matchAll(this.#singleSpell)) {
+            const name = match.groups.spell.trim();
+            if (/^one of\b/i.test(name) || spells.some(s => s.name.toLowerCase() === name.toLowerCase())) continue;
+
+            const sentences = text.slice(match.index, match.index + 300);
+            const level = this.#castLevel.exec(sentences);
+            spells.push({
+                name: name,
+                cost: spbiUtils.parseNumberWord(match.groups.cost),
+                scaling: !!match.groups.more,
+                max: "",
+                level: level ? parseInt(level.groups.level ?? level.groups.level2) : null,
+                ...this.#castChallenge(`${match.groups.details ?? ""} ${sentences}`)
+            });
+        }
+
+        return spells;
+    }
+
+    /**
+     * Build cast activities for the spells an item can cast, linked to the spells found in the compendiums
+     * Spells that can't be found are left out
+     * @param {string} description - The item description
+     * @returns {Promise<Array<Object>>} - Cast activities that spend the item's charges
+     */
+    static async buildCastActivities(description) {
+        const activities = [];
+
+        for (const entry of this.parseItemSpells(description)) {
+            const spell = await spbiUtils.getItemFromPacksAsync(entry.name, "spell");
+            const uuid = spell?._stats?.compendiumSource;
+            // the pack lookup falls back to any document with the name, a feat named like the spell isn't one
+            if (spell?.type !== "spell" || !uuid) {
+                spbiUtils.log(`No spell found for ${entry.name}`);
+                continue;
+            }
+
+            activities.push(this.createActivity("cast", {
+                name: spell.name,
+                activation: { type: "action", value: 1, condition: "", override: false },
+                consumption: {
+                    scaling: { allowed: entry.scaling, max: entry.max },
+                    spellSlot: true,
+                    targets: [{
+                        type: "itemUses",
+                        value: String(entry.cost),
+                        target: "",
+                        scaling: { mode: entry.scaling ? "amount" : "", formula: "" }
+                    }]
+                },
+                spell: {
+                    ability: "",
+                    challenge: { attack: entry.attack, save: entry.dc, override: !!(entry.attack || entry.dc) },
+                    level: entry.level ?? spell.system.level,
+                    properties: ["vocal", "somatic", "material"],
+                    spellbook: true,
+                    uuid: uuid
+                }
+            }));
+        }
+
+        spbiUtils.log(`Built ${activities.length} cast activities`);
+        return activities;
+    }
+
+    /**
+     * Find the fixed save DC and attack bonus an item casts its spells with
+     * @param {string} text - The text around the spell
+     * @returns {Object} - { dc, attack }, null when the caster's own values apply
+     */
+    static #castChallenge(text) {
+        const dc = this.#castDc.exec(text);
+        const attack = this.#castAttack.exec(text);
+        return {
+            dc: dc ? parseInt(dc.groups.dc ?? dc.groups.dc2) : null,
+            attack: attack ? parseInt(attack.groups.attack ?? attack.groups.attack2) : null
+        };
+    }
+}
@@ -5,8 +5,20 @@
  */
 
 import { spbiUtils } from "../spbiUtils.js";
+import { activityBuilder } from "./activityBuilder.js";
 
 export class actorBuilder {
+    static #regex = {
+        // "Melee Weapon Attack: +6 to hit" or the 2024 "Melee Attack Roll: +9"
+        attack: /(?<kind>melee or ranged|melee|ranged)\s+(?:(?<classification>weapon|spell)\s+)?attack(?:\s*:\s*(?<bonus>[+-]\s*\d+)\s+to\s+hit|\s+roll\s*:\s*(?<bonus2>[+-]\s*\d+))/i,
+        hit: /\bhit\s*:\s*(?<text>.*)$/i,
+        reach: /\breach\s+(?<reach>\d+)\s*(?:ft\.?|feet)/i,
+        range: /\brange\s+(?<value>\d+)(?:\s*\/\s*(?<long>\d+))?\s*(?:ft\.?|feet)/i,
+        saveClause: /(?:must (?:make|succeed on)|makes?)\s+an?\s+DC\s*\d+|(?:strength|dexterity|constitution|intelligence|wisdom|charisma)\s+saving\s+throw\s*:/i,
+        // 2024 "Dexterity Saving Throw: DC 15, each creature in a 20-foot Emanation... Failure: ... Success: ..."
+        save2024: /(?<ability>strength|dexterity|constitution|intelligence|wisdom|charisma)\s+saving\s+throw\s*:\s*DC\s*(?<dc>\d+)/i
+    };
+
     /**
      * Create a Foundry VTT actor from parsed monster data
      * @param {Object} monsterData - The parsed monster data
@@ -14,7 +26,7 @@ export class actorBuilder {
      * @returns {Promise<Actor>} - The created actor
      */
     static async createActor(monsterData, folderId) {
-        spbiUtils.log("Creating actor from monster data", monsterData);
+        spbiUtils.log(`Creating actor from monster data: ${monsterData.name}`);
         
         // Create the base actor data
         const actorData = this._buildActorData(monsterData);
@@ -32,12 +44,12 @@ export class actorBuilder {
             // Create embedded items (actions, features, etc.)
             if (actor) {
                 await this._createEmbeddedItems(actor, monsterData);
-                spbiUtils.log("Actor created successfully", actor);
+                spbiUtils.log(`Actor created: ${actor.name}`);
             }
             
             return actor;
         } catch (error) {
-            spbiUtils.error("Error creating actor", error);
+            console.error("Error creating actor:", error);
             throw error;
         }
     }
@@ -55,8 +67,10 @@ export class actorBuilder {
                 attributes: {
                     ac: this._buildArmorClass(monsterData.ac),
                     hp: this._buildHitPoints(monsterData.hp),
+                    init: this._buildInitiative(monsterData),
                     movement: this._buildMovement(monsterData.speed)
                 },
+                resources: this._buildResources(monsterData),
                 details: {
                     alignment: monsterData.alignment,
                     type: this._buildCreatureType(monsterData.type),
@@ -100,6 +114,9 @@ export class actorBuilder {
         // Add senses
         this._addSenses(actorData, monsterData.senses);
         
+        // Add spellcasting ability, level and slots
+        this._addSpellcasting(actorData, monsterData.spellcasting);
+        
         // Add biography from other info
         if (monsterData.otherInfo && monsterData.otherInfo.length) {
             actorData.system.details.biography = {
@@ -157,6 +174,22 @@ export class actorBuilder {
         };
     }
     
+    /**
+     * Build initiative object, the printed bonus beyond the Dexterity modifier becomes an initiative bonus
+     * @param {Object} monsterData - The parsed monster data
+     * @returns {Object} - The initiative object for Foundry
+     * @private
+     */
+    static _buildInitiative(monsterData) {
+        const init = { ability: "", bonus: "" };
+        if (!Number.isInteger(monsterData.initiative)) return init;
+        
+        const dexMod = Math.floor(((monsterData.abilities?.dex ?? 10) - 10) / 2);
+        const bonus = monsterData.initiative - dexMod;
+        if (bonus) init.bonus = String(bonus);
+        return init;
+    }
+    
     /**
      * Build movement object
      * @param {Array} speeds - The parsed speed data
@@ -187,6 +220,23 @@ export class actorBuilder {
         return movement;
     }
     
+    /**
+     * Build the legendary actions and legendary resistance resources
+     * @param {Object} monsterData - The parsed monster data
+     * @returns {Object} - The resources object for Foundry
+     * @private
+     */
+    static _buildResources(monsterData) {
+        const legendaryActions = monsterData.legendaryActionCount ?? 0;
+        const resistance = monsterData.features?.find(feature => /^legendary resistance$/i.test(feature.name));
+        const legendaryResistances = resistance?.uses?.max ?? 0;
+        
+        return {
+            legact: { value: legendaryActions, max: legendaryActions },
+            legres: { value: legendaryResistances, max: legendaryResistances }
+        };
+    }
+    
     /**
      * Build creature type object
      * @param {string} type - The creature type
@@ -336,6 +386,37 @@ export class actorBuilder {
         }
     }
     
+    /**
+     * Add the spellcasting ability, spellcaster level and spell slot overrides to actor data
+     * @param {Object} actorData - The actor data object
+     * @param {Object|null} spellcasting - The parsed spellcasting
+     * @private
+     */
+    static _addSpellcasting(actorData, spellcasting) {
+        if (!spellcasting) return;
+        
+        if (spellcasting.ability) {
+            actorData.system.attributes.spellcasting = spellcasting.ability;
+        }
+        
+        // dnd5e 4.3 moved the spellcaster level from details.spellLevel to attributes.spell.level
+        if (spellcasting.level) {
+            if (foundry.utils.isNewerVersion(game.system.version, '4.2.2')) {
+                actorData.system.attributes.spell = { level: spellcasting.level };
+            } else {
+                actorData.system.details.spellLevel = spellcasting.level;
+            }
+        }
+        
+        const slots = Object.entries(spellcasting.slots);
+        if (slots.length) {
+            actorData.system.spells = {};
+            for (const [slot, count] of slots) {
+                actorData.system.spells[slot] = { value: count, override: count };
+            }
+        }
+    }
+    
     /**
      * Create embedded items for the actor
      * @param {Actor} actor - The created actor
@@ -351,14 +432,24 @@ export class actorBuilder {
             items.push(await this._createFeature(feature));
         }
         
+        // Add gear
+        for (const gear of monsterData.gear ?? []) {
+            items.push(await this._createGear(gear));
+        }
+        
+        // Add spells
+        for (const spell of monsterData.spellcasting?.spells ?? []) {
+            items.push(await this._createSpell(spell));
+        }
+        
         // Add actions
         for (const action of monsterData.actions) {
-            items.push(await this._createAction(action));
+            items.push(await this._createAction(action, monsterData));
         }
         
         // Add bonus actions
         for (const bonusAction of monsterData.bonusActions) {
-            items.push(await this._createBonusAction(bonusAction));
+            items.push(await this._createBonusAction(bonusAction, monsterData));
         }
         
         // Add reactions
@@ -368,7 +459,7 @@ export class actorBuilder {
         
         // Add legendary actions
         for (const legendaryAction of monsterData.legendaryActions) {
-            items.push(await this._createLegendaryAction(legendaryAction));
+            items.push(await this._createLegendaryAction(legendaryAction, monsterData));
         }
         
         // Add lair actions
@@ -378,12 +469,17 @@ export class actorBuilder {
         
         // Add mythic actions
         for (const mythicAction of monsterData.mythicActions) {
-            items.push(await this._createMythicAction(mythicAction));
+            items.push(await this._createMythicAction(mythicAction, monsterData));
         }
         
         // Add villain actions
         for (const villainAction of monsterData.villainActions) {
-            items.push(await this._createVillainAction(villainAction));
+            items.push(await this._createVillainAction(villainAction, monsterData));
+        }
+        
+        // Spend the item's own uses when it's used
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+            items.forEach(item => this._consumeItemUses(item));
         }
         
         // Create the items
@@ -399,7 +495,7 @@ export class actorBuilder {
      * @private
      */
     static async _createFeature(feature) {
-        return {
+        const itemData = {
             name: feature.name,
             type: "feat",
             img: await this._findItemImage(feature.name, "feat"),
@@ -410,15 +506,133 @@ export class actorBuilder {
                 source: ""
             }
         };
+        
+        // Recharge, per day and per rest uses
+        if (feature.uses) {
+            Object.assign(itemData.system, this._buildUses(feature.uses));
+        }
+        
+        return itemData;
+    }
+    
+    /**
+     * Build the uses data for a recharge, per day or per rest ability
+     * @param {Object} uses - The parsed { max, period, recharge } uses
+     * @returns {Object} - The uses (and on older dnd5e versions recharge) system data
+     * @private
+     */
+    static _buildUses(uses) {
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+            const recovery = uses.period === "recharge"
+                ? { period: "recharge", type: "recoverAll", formula: String(uses.recharge) }
+                : { period: uses.period, type: "recoverAll", formula: "" };
+            return { uses: { max: String(uses.max), spent: 0, recovery: [recovery] } };
+        }
+        
+        if (uses.period === "recharge") {
+            return { recharge: { value: uses.recharge, charged: true } };
+        }
+        return { uses: { value: uses.max, max: String(uses.max), per: uses.period } };
+    }
+    
+    /**
+     * Make the activities of an item with limited uses spend one of them
+     * An item with uses but nothing to roll gets a utility activity so the use can still be spent
+     * @param {Object} itemData - The item data to update
+     * @private
+     */
+    static _consumeItemUses(itemData) {
+        if (!itemData.system.uses?.recovery?.length) return;
+        
+        let activities = Object.values(itemData.system.activities ?? {});
+        if (!activities.length) {
+            activities = [activityBuilder.createActivity("utility", {
+                activation: {
+                    type: itemData.system.activation?.type ?? "special",
+                    value: itemData.system.activation?.cost ?? null,
+                    condition: "",
+                    override: false
+                },
+                roll: { formula: "", name: "", prompt: false, visible: false }
+            })];
+        }
+        
+        for (const activity of activities) {
+            activity.consumption.targets.push({ type: "itemUses", value: "1", target: "", scaling: { mode: "", formula: "" } });
+        }
+        itemData.system.activities = activityBuilder.toCollection(activities);
+    }
+    
+    /**
+     * Create a gear item from the compendiums, or a loot item when no compendium has it
+     * @param {Object} gear - The parsed { name, quantity } gear
+     * @returns {Promise<Object>} - The item data
+     * @private
+     */
+    static async _createGear(gear) {
+        let itemData = await spbiUtils.getItemFromPacksAsync(gear.name);
+        if (!itemData || ["spell", "feat", "class", "subclass", "background", "race"].includes(itemData.type)) {
+            spbiUtils.log(`Gear ${gear.name} not found in the compendiums`);
+            itemData = {
+                name: spbiUtils.capitalizeAll(gear.name),
+                type: "loot",
+                img: await this._findItemImage(gear.name, "loot"),
+                system: {
+                    description: { value: "" },
+                    source: ""
+                }
+            };
+        }
+        
+        itemData.system.quantity = gear.quantity;
+        if (["weapon", "equipment"].includes(itemData.type)) itemData.system.equipped = true;
+        
+        return itemData;
+    }
+    
+    /**
+     * Create a spell item from the compendiums, or a placeholder when no compendium has it
+     * @param {Object} spell - The parsed { name, mode, level, uses } spell
+     * @returns {Promise<Object>} - The item data
+     * @private
+     */
+    static async _createSpell(spell) {
+        let itemData = await spbiUtils.getItemFromPacksAsync(spell.name, "spell");
+        if (itemData?.type !== "spell") {
+            spbiUtils.log(`Spell ${spell.name} not found in the compendiums`);
+            itemData = {
+                name: spbiUtils.capitalizeAll(spell.name),
+                type: "spell",
+                img: await this._findItemImage(spell.name, "spell"),
+                system: {
+                    description: { value: "" },
+                    level: spell.level ?? 1,
+                    source: ""
+                }
+            };
+        }
+        
+        itemData.system.preparation = {
+            mode: spell.mode,
+            prepared: spell.mode === "prepared"
+        };
+        
+        // Innate spells cast N/day keep their uses on the spell
+        if (spell.uses) {
+            Object.assign(itemData.system, this._buildUses(spell.uses));
+        }
+        
+        return itemData;
     }
     
     /**
      * Create an action item
      * @param {Object} action - The action data
+     * @param {Object} monsterData - The parsed monster data
      * @returns {Promise<Object>} - The item data
      * @private
      */
-    static async _createAction(action) {
+    static async _createAction(action, monsterData) {
         const itemData = await this._createFeature(action);
         
         // Set activation to action
@@ -428,7 +642,7 @@ export class actorBuilder {
         };
         
         // Check for attack and damage information
-        this._parseAttackAndDamage(action, itemData);
+        await this._parseAttackAndDamage(action, itemData, monsterData);
         
         return itemData;
     }
@@ -436,10 +650,11 @@ export class actorBuilder {
     /**
      * Create a bonus action item
      * @param {Object} bonusAction - The bonus action data
+     * @param {Object} monsterData - The parsed monster data
      * @returns {Promise<Object>} - The item data
      * @private
      */
-    static async _createBonusAction(bonusAction) {
+    static async _createBonusAction(bonusAction, monsterData) {
         const itemData = await this._createFeature(bonusAction);
         
         // Set activation to bonus action
@@ -449,7 +664,7 @@ export class actorBuilder {
         };
         
         // Check for attack and damage information
-        this._parseAttackAndDamage(bonusAction, itemData);
+        await this._parseAttackAndDamage(bonusAction, itemData, monsterData);
         
         return itemData;
     }
@@ -475,20 +690,29 @@ export class actorBuilder {
     /**
      * Create a legendary action item
      * @param {Object} legendaryAction - The legendary action data
+     * @param {Object} monsterData - The parsed monster data
      * @returns {Promise<Object>} - The item data
      * @private
      */
-    static async _createLegendaryAction(legendaryAction) {
+    static async _createLegendaryAction(legendaryAction, monsterData) {
         const itemData = await this._createFeature(legendaryAction);
         
-        // Set activation to legendary action
+        // Set activation to legendary action, "(Costs 2 Actions)" spends more than one
         itemData.system.activation = {
             type: "legendary",
-            cost: 1
+            cost: legendaryAction.cost ?? 1
         };
         
         // Check for attack and damage information
-        this._parseAttackAndDamage(legendaryAction, itemData);
+        await this._parseAttackAndDamage(legendaryAction, itemData, monsterData);
+        
+        // Options that don't roll anything still need an activity to spend the legendary actions
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1') && !itemData.system.activities) {
+            itemData.system.activities = activityBuilder.toCollection([activityBuilder.createActivity("utility", {
+                activation: { type: "legendary", value: itemData.system.activation.cost, condition: "", override: false },
+                roll: { formula: "", name: "", prompt: false, visible: false }
+            })]);
+        }
         
         return itemData;
     }
@@ -514,10 +738,11 @@ export class actorBuilder {
     /**
      * Create a mythic action item
      * @param {Object} mythicAction - The mythic action data
+     * @param {Object} monsterData - The parsed monster data
      * @returns {Promise<Object>} - The item data
      * @private
      */
-    static async _createMythicAction(mythicAction) {
+    static async _createMythicAction(mythicAction, monsterData) {
         const itemData = await this._createFeature(mythicAction);
         
         // Set activation to mythic action
@@ -527,7 +752,7 @@ export class actorBuilder {
         };
         
         // Check for attack and damage information
-        this._parseAttackAndDamage(mythicAction, itemData);
+        await this._parseAttackAndDamage(mythicAction, itemData, monsterData);
         
         return itemData;
     }
@@ -535,10 +760,11 @@ export class actorBuilder {
     /**
      * Create a villain action item
      * @param {Object} villainAction - The villain action data
+     * @param {Object} monsterData - The parsed monster data
      * @returns {Promise<Object>} - The item data
      * @private
      */
-    static async _createVillainAction(villainAction) {
+    static async _createVillainAction(villainAction, monsterData) {
         const itemData = await this._createFeature(villainAction);
         
         // Set activation to villain action
@@ -548,19 +774,29 @@ export class actorBuilder {
         };
         
         // Check for attack and damage information
-        this._parseAttackAndDamage(villainAction, itemData);
+        await this._parseAttackAndDamage(villainAction, itemData, monsterData);
         
         return itemData;
     }
     
     /**
      * Parse attack and damage information from an action description
+     * dnd5e 4.x gets attack, save and damage activities, older versions the legacy item fields
      * @param {Object} action - The action data
      * @param {Object} itemData - The item data to update
+     * @param {Object} monsterData - The parsed monster data, used to work out the attack ability
+     * @returns {Promise<void>}
      * @private
      */
-    static _parseAttackAndDamage(action, itemData) {
+    static async _parseAttackAndDamage(action, itemData, monsterData) {
         const description = action.description;
+
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+            const activities = this._buildActivities(description, itemData, monsterData);
+            if (itemData.type === "weapon") itemData.img = await this._findItemImage(action.name, "weapon");
+            if (activities.length) itemData.system.activities = activityBuilder.toCollection(activities);
+            return;
+        }
         
         // Check for attack bonus
         const attackMatch = description.match(/(?:ranged|melee)\s+(?:weapon|spell)?\s*attack\s*:\s*([+-]\d+)\s+to\s+hit/i);
@@ -608,6 +844,171 @@ export class actorBuilder {
         }
     }
     
+    /**
+     * Build the dnd5e 4.x activities of an action
+     * Weapon attacks turn the item into a natural weapon so it can hold reach and normal/long range
+     * @param {string} description - The action description
+     * @param {Object} itemData - The item data to update
+     * @param {Object} monsterData - The parsed monster data
+     * @returns {Array<Object>} - Attack and save activities, empty when the action doesn't roll anything
+     * @private
+     */
+    static _buildActivities(description, itemData, monsterData) {
+        const activation = {
+            type: itemData.system.activation?.type ?? "action",
+            value: itemData.system.activation?.cost ?? 1,
+            condition: "",
+            override: false
+        };
+        const activities = [];
+
+        const attack = this.#regex.attack.exec(description);
+        const hit = this.#regex.hit.exec(description);
+
+        // Damage after "must succeed on a DC 13 Constitution saving throw or take" belongs to the save
+        const save = this._extractSave(description);
+        const saveIndex = save ? description.search(this.#regex.saveClause) : -1;
+        const saveText = saveIndex >= 0 ? description.slice(saveIndex) : description;
+
+        if (attack) {
+            const kind = attack.groups.kind.toLowerCase();
+            const classification = attack.groups.classification?.toLowerCase() ?? "weapon";
+            const bonus = parseInt((attack.groups.bonus ?? attack.groups.bonus2).replace(/\s+/g, ""));
+            const ability = this._attackAbility(bonus, kind, classification, monsterData);
+            const reach = this.#regex.reach.exec(description);
+            const range = this.#regex.range.exec(description);
+
+            let hitText = hit ? hit.groups.text : "";
+            if (hit && (saveIndex > hit.index)) hitText = description.slice(hit.index, saveIndex);
+
+            const activity = activityBuilder.createActivity("attack", {
+                activation: activation,
+                attack: {
+                    ability: ability ?? "none",
+                    bonus: ability ? "" : String(bonus),
+                    critical: { threshold: null },
+                    flat: !ability,
+                    type: {
+                        value: kind.startsWith("melee") ? "melee" : "ranged",
+                        classification: classification
+                    }
+                },
+                damage: {
+                    critical: { bonus: "" },
+                    includeBase: false,
+                    parts: this._extractDamageParts(hitText)
+                }
+            });
+
+            if (classification === "weapon") {
+                itemData.type = "weapon";
+                itemData.system.type = { value: "natural", baseItem: "" };
+                itemData.system.equipped = true;
+                itemData.system.proficient = null;
+                itemData.system.properties = kind.includes(" or ") ? ["thr"] : [];
+                itemData.system.range = {
+                    value: range ? parseInt(range.groups.value) : null,
+                    long: range?.groups.long ? parseInt(range.groups.long) : null,
+                    reach: reach ? parseInt(reach.groups.reach) : null,
+                    units: "ft"
+                };
+            } else if (reach || range) {
+                activity.range = {
+                    override: true,
+                    value: String(reach?.groups.reach ?? range.groups.value),
+                    units: "ft",
+                    special: range?.groups.long ? `${range.groups.value}/${range.groups.long} ft.` : ""
+                };
+            }
+
+            activities.push(activity);
+        }
+
+        if (save && (!attack || (saveIndex >= 0))) {
+            const parts = this._extractDamageParts(saveText);
+            activities.push(activityBuilder.createActivity("save", {
+                activation: activation,
+                damage: {
+                    onSave: parts.length ? activityBuilder.extractOnSave(saveText) : "none",
+                    parts: parts
+                },
+                save: {
+                    ability: [save.ability],
+                    dc: { calculation: "", formula: save.dc ? String(save.dc) : "" }
+                }
+            }));
+        }
+
+        spbiUtils.log(`Built ${activities.length} activities for ${itemData.name}`);
+        return activities;
+    }
+
+    /**
+     * Extract the saving throw of an action, in either the 2014 or the 2024 wording
+     * @param {string} description - The action description
+     * @returns {Object|null} - { ability, dc } or null when there is no save
+     * @private
+     */
+    static _extractSave(description) {
+        const save = this.#regex.save2024.exec(description);
+        if (save) {
+            return {
+                ability: activityBuilder.abilityMap[save.groups.ability.toLowerCase()],
+                dc: parseInt(save.groups.dc)
+            };
+        }
+        return activityBuilder.extractSave(description);
+    }
+    
+    /**
+     * Extract every statblock damage clause, "10 (2d6 + 3) slashing damage plus 7 (2d6) fire damage"
+     * Alternatives like "or 8 (1d10 + 3) slashing damage if used with two hands" are skipped
+     * @param {string} text - The text to search
+     * @returns {Array<Object>} - DamageData source objects
+     * @private
+     */
+    static _extractDamageParts(text) {
+        const types = activityBuilder.damageTypes.join("|");
+        const pattern = new RegExp(`(?:\\d+\\s*\\(\\s*(?<formula>\\d+d\\d+(?:\\s*[+-]\\s*\\d+)?)\\s*\\)|(?<flat>\\d+))\\s+(?<type>${types})\\s+damage`, "gi");
+
+        const parts = [];
+        for (const match of (text ?? "").matchAll(pattern)) {
+            if (/\bor\s*$/i.test(text.slice(0, match.index))) continue;
+            parts.push(activityBuilder.createDamagePart(match.groups.formula ?? match.groups.flat, [match.groups.type.toLowerCase()]));
+        }
+        return parts;
+    }
+
+    /**
+     * Find the ability that, with the monster's proficiency bonus, adds up to the printed to-hit bonus
+     * @param {number} bonus - The printed to-hit bonus
+     * @param {string} kind - "melee", "ranged" or "melee or ranged"
+     * @param {string} classification - "weapon" or "spell"
+     * @param {Object} monsterData - The parsed monster data
+     * @returns {string|null} - The ability key, or null when no ability matches and the bonus has to be flat
+     * @private
+     */
+    static _attackAbility(bonus, kind, classification, monsterData) {
+        const prof = this._proficiencyBonus(monsterData?.challenge?.cr);
+        let candidates = kind.startsWith("melee") ? ["str", "dex"] : ["dex", "str"];
+        if (classification === "spell") candidates = ["int", "wis", "cha"];
+
+        return candidates.find(ability => {
+            const score = monsterData?.abilities?.[ability] ?? 10;
+            return Math.floor((score - 10) / 2) + prof === bonus;
+        }) ?? null;
+    }
+
+    /**
+     * Proficiency bonus for a challenge rating, the same way dnd5e derives it for NPCs
+     * @param {number} cr - The challenge rating
+     * @returns {number}
+     * @private
+     */
+    static _proficiencyBonus(cr) {
+        return Math.floor((Math.max(cr ?? 0, 1) + 7) / 4);
+    }
+    
     /**
      * Enrich a description with Foundry VTT formatting
      * @param {string} description - The raw description
@@ -0,0 +1,146 @@
+/**
+ * Effect Builder module for 5e-content-importer
+ * Builds Active Effects and magical bonuses for items from parsed text
+ */
+
+import { spbiUtils } from "../spbiUtils.js";
+import { activityBuilder } from "./activityBuilder.js";
+
+export class effectBuilder {
+    static movementMap = {
+        "walking": "walk",
+        "flying": "fly",
+        "swimming": "swim",
+        "climbing": "climb",
+        "burrowing": "burrow"
+    };
+
+    static #attackBonus = /\+(?<bonus>\d+) bonus to attack (?:rolls )?and damage rolls/i;
+    static #acBonus = /\+(?<bonus>\d+) bonus to (?:your )?(?:armor class|AC)\b(?<saves>,? and (?:to )?(?:all )?(?:of your )?saving throws)?/i;
+    static #saveBonus = /\+(?<bonus>\d+) bonus to (?:all )?(?:of your )?saving throws/i;
+    static #resistance = /\bresistan(?:ce|t) to (?<types>[a-z ,]+?) damage/gi;
+    static #immunity = /\bimmun(?:ity|e) to (?<types>[a-z ,]+?) damage/gi;
+    static #abilityScore = /\byour (?<ability>strength|dexterity|constitution|intelligence|wisdom|charisma) score (?<mode>is|becomes|changes to|increases to|increases by) (?<value>\d+)/gi;
+    static #speedIncrease = /\byour (?:(?<movement>walking|flying|swimming|climbing|burrowing) )?speed (?:increases|is increased) by (?<value>\d+) (?:feet|ft\.?)/gi;
+    static #speedBecomes = /\byour (?:(?<movement>walking|flying|swimming|climbing|burrowing) )?speed becomes (?<value>\d+) (?:feet|ft\.?)/gi;
+    static #speedGained = /\b(?:gain|have) an? (?<movement>flying|swimming|climbing|burrowing) speed (?:of (?<value>\d+) (?:feet|ft\.?)|equal to your (?:walking )?speed)/gi;
+
+    /**
+     * Create the source data of an Active Effect granted by an item
+     * @param {string} name - The effect name
+     * @param {Array<Object>} changes - { key, mode, value } changes
+     * @param {Object} options
+     * @param {string} options.img - The effect icon, usually the item image
+     * @param {boolean} options.transfer - Whether the effect applies while the item is carried
+     * @returns {Object} - ActiveEffect source data
+     */
+    static createEffect(name, changes, { img = "", transfer = true } = {}) {
+        return {
+            name: name,
+            img: img,
+            type: "base",
+            changes: changes.map(change => ({ priority: null, ...change, value: String(change.value) })),
+            disabled: false,
+            transfer: transfer
+        };
+    }
+
+    /**
+     * Find the bonus an item adds to its own attacks or armor class
+     * @param {string} text - The item description
+     * @param {Object} itemData - The mapped item data, its type decides which bonus applies
+     * @returns {number|null} - The magical bonus, or null if the text doesn't give one
+     */
+    static extractMagicalBonus(text, itemData) {
+        const pattern = this.#isArmor(itemData) ? this.#acBonus : this.#attackBonus;
+        const match = pattern.exec(text ?? "");
+        return match ? parseInt(match.groups.bonus) : null;
+    }
+
+    /**
+     * Extract the Active Effect changes an item grants while it's worn or carried
+     * @param {string} text - The item description
+     * @param {Object} options
+     * @param {boolean} options.armor - The item is armor or a shield, its AC bonus is a magical bonus instead
+     * @returns {Array<Object>} - { key, mode, value } changes
+     */
+    static extractChanges(text, { armor = false } = {}) {
+        const modes = CONST.ACTIVE_EFFECT_MODES;
+        const changes = [];
+        text = text ?? "";
+
+        const ac = this.#acBonus.exec(text);
+        if (ac && !armor) changes.push({ key: "system.attributes.ac.bonus", mode: modes.ADD, value: `+${ac.groups.bonus}` });
+        const save = ac?.groups.saves ? ac : this.#saveBonus.exec(text);
+        if (save) changes.push({ key: "system.bonuses.abilities.save", mode: modes.ADD, value: `+${save.groups.bonus}` });
+
+        for (const [pattern, key] of [[this.#resistance, "system.traits.dr.value"], [this.#immunity, "system.traits.di.value"]]) {
+            for (const match of text.matchAll(pattern)) {
+                // "resistance to one type of damage" leaves the choice to variants
+                for (const type of activityBuilder.damageTypes.filter(t => new RegExp(`\\b${t}\\b`, "i").test(match.groups.types))) {
+                    if (!changes.some(c => (c.key === key) && (c.value === type))) changes.push({ key: key, mode: modes.ADD, value: type });
+                }
+            }
+        }
+
+        for (const match of text.matchAll(this.#abilityScore)) {
+            const ability = activityBuilder.abilityMap[match.groups.ability.toLowerCase()];
+            const increase = match.groups.mode.toLowerCase() === "increases by";
+            changes.push({ key: `system.abilities.${ability}.value`, mode: increase ? modes.ADD : modes.UPGRADE, value: match.groups.value });
+        }
+
+        for (const match of text.matchAll(this.#speedIncrease)) {
+            const movement = this.movementMap[match.groups.movement?.toLowerCase() ?? "walking"];
+            changes.push({ key: `system.attributes.movement.${movement}`, mode: modes.ADD, value: match.groups.value });
+        }
+        for (const match of text.matchAll(this.#speedBecomes)) {
+            const movement = this.movementMap[match.groups.movement?.toLowerCase() ?? "walking"];
+            changes.push({ key: `system.attributes.movement.${movement}`, mode: modes.UPGRADE, value: match.groups.value });
+        }
+        for (const match of text.matchAll(this.#speedGained)) {
+            const movement = this.movementMap[match.groups.movement.toLowerCase()];
+            changes.push({ key: `system.attributes.movement.${movement}`, mode: modes.UPGRADE, value: match.groups.value ?? "@attributes.movement.walk" });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Fill the magical bonus and add an effect with everything else the item grants
+     * Consumables keep the effect on the item to apply when used, everything else transfers it to the owner
+     * @param {Object} itemData - The mapped item data, updated in place
+     * @param {string} text - The item description
+     * @returns {Object} - The item data
+     */
+    static applyItemEffects(itemData, text) {
+        const armor = this.#isArmor(itemData);
+        const bonus = this.extractMagicalBonus(text, itemData);
+        if (bonus && armor) {
+            itemData.system.armor = { ...(itemData.system.armor ?? {}), magicalBonus: bonus };
+        } else if (bonus && ["weapon", "consumable"].includes(itemData.type)) {
+            itemData.system.magicalBonus = bonus;
+        }
+
+        const changes = this.extractChanges(text, { armor: armor });
+        if (changes.length) {
+            itemData.effects = [...(itemData.effects ?? []), this.createEffect(itemData.name, changes, {
+                img: itemData.img,
+                transfer: itemData.type !== "consumable"
+            })];
+        }
+
+        spbiUtils.log(`${itemData.name}: magical bonus ${bonus ?? "none"}, ${changes.length} effect changes`);
+        return itemData;
+    }
+
+    /**
+     * Armor and shields keep their magical bonus beside their AC
+     * @param {Object} itemData - The mapped item data
+     * @returns {boolean}
+     */
+    static #isArmor(itemData) {
+        if (itemData?.type !== "equipment") return false;
+        return ["light", "medium", "heavy", "natural", "shield"].includes(itemData.system?.type?.value)
+            || !!itemData.system?.armor?.value;
+    }
+}
@@ -0,0 +1,756 @@
+/**
+ * Item Builder module for 5e-content-importer
+ * Builds dnd5e 4.x physical item data (weapons, armor, ...) from parsed text
+ */
+
+import { spbiUtils } from "../spbiUtils.js";
+import { activityBuilder } from "./activityBuilder.js";
+import { effectBuilder } from "./effectBuilder.js";
+
+export class itemBuilder {
+    // Keys of CONFIG.DND5E.weaponIds, the base items in the dnd5e.items compendium
+    static weaponIds = [
+        "battleaxe", "blowgun", "club", "dagger", "dart", "flail", "glaive", "greataxe", "greatclub",
+        "greatsword", "halberd", "handaxe", "handcrossbow", "heavycrossbow", "javelin", "lance",
+        "lightcrossbow", "lighthammer", "longbow", "longsword", "mace", "maul", "morningstar", "net",
+        "pike", "quarterstaff", "rapier", "scimitar", "shortsword", "sickle", "spear", "shortbow",
+        "sling", "trident", "warpick", "warhammer", "whip"
+    ];
+
+    static weaponPropertyMap = {
+        "ammunition": "amm",
+        "finesse": "fin",
+        "firearm": "fir",
+        "heavy": "hvy",
+        "light": "lgt",
+        "loading": "lod",
+        "reach": "rch",
+        "reload": "rel",
+        "returning": "ret",
+        "silvered": "sil",
+        "special": "spc",
+        "thrown": "thr",
+        "two-handed": "two",
+        "versatile": "ver"
+    };
+
+    static weaponMasteries = ["cleave", "graze", "nick", "push", "sap", "slow", "topple", "vex"];
+
+    static ammunitionMap = {
+        "arrow": "arrow",
+        "bolt": "crossbowBolt",
+        "bullet": "slingBullet",
+        "needle": "blowgunNeedle",
+        "energy cell": "energyCell"
+    };
+
+    // Keys of CONFIG.DND5E.armorIds and shieldIds with their armor category
+    static armorIds = {
+        "breastplate": "medium",
+        "chainmail": "heavy",
+        "chainshirt": "medium",
+        "halfplate": "medium",
+        "hide": "medium",
+        "leather": "light",
+        "padded": "light",
+        "plate": "heavy",
+        "ringmail": "heavy",
+        "scalemail": "medium",
+        "splint": "heavy",
+        "studded": "light",
+        "shield": "shield"
+    };
+
+    // Keys of CONFIG.DND5E.tools by the name they go by, with their tool type and default ability
+    static toolIds = {
+        "alchemist": ["alchemist", "art", "int"],
+        "bagpipes": ["bagpipes", "music", "cha"],
+        "brewer": ["brewer", "art", "int"],
+        "calligrapher": ["calligrapher", "art", "dex"],
+        "card": ["card", "game", "wis"],
+        "carpenter": ["carpenter", "art", "str"],
+        "cartographer": ["cartographer", "art", "wis"],
+        "chess": ["chess", "game", "wis"],
+        "cobbler": ["cobbler", "art", "dex"],
+        "cook": ["cook", "art", "wis"],
+        "dice": ["dice", "game", "wis"],
+        "disguise": ["disg", "", "cha"],
+        "drum": ["drum", "music", "cha"],
+        "dulcimer": ["dulcimer", "music", "cha"],
+        "pan flute": ["panflute", "music", "cha"],
+        "flute": ["flute", "music", "cha"],
+        "forgery": ["forg", "", "dex"],
+        "glassblower": ["glassblower", "art", "int"],
+        "herbalism": ["herb", "", "int"],
+        "horn": ["horn", "music", "cha"],
+        "jeweler": ["jeweler", "art", "int"],
+        "leatherworker": ["leatherworker", "art", "dex"],
+        "lute": ["lute", "music", "cha"],
+        "lyre": ["lyre", "music", "cha"],
+        "mason": ["mason", "art", "str"],
+        "navigator": ["navg", "", "wis"],
+        "painter": ["painter", "art", "wis"],
+        "poisoner": ["pois", "", "int"],
+        "potter": ["potter", "art", "int"],
+        "shawm": ["shawm", "music", "cha"],
+        "smith": ["smith", "art", "str"],
+        "thieves": ["thief", "", "dex"],
+        "tinker": ["tinker", "art", "dex"],
+        "viol": ["viol", "music", "cha"],
+        "weaver": ["weaver", "art", "dex"],
+        "woodcarver": ["woodcarver", "art", "dex"]
+    };
+
+    // Loot types (CONFIG.DND5E.lootTypes) by the item type written in the source
+    static lootTypes = {
+        "adventuring gear": "gear",
+        "gear": "gear",
+        "gem": "gem",
+        "gemstone": "gem",
+        "art object": "art",
+        "trade good": "material",
+        "treasure": "treasure"
+    };
+
+    // Consumable types that are used up when their activity is used
+    static singleUseConsumables = ["potion", "poison", "food"];
+
+    // Weapon families named by generic base items ("Weapon (any sword)")
+    static weaponGroups = {
+        "sword": ["greatsword", "longsword", "rapier", "scimitar", "shortsword"],
+        "axe": ["battleaxe", "greataxe", "handaxe"],
+        "bow": ["longbow", "shortbow"],
+        "crossbow": ["handcrossbow", "heavycrossbow", "lightcrossbow"],
+        "hammer": ["lighthammer", "warhammer"]
+    };
+
+    // Damage types offered by "of Resistance" items
+    static resistanceTypes = ["acid", "cold", "fire", "force", "lightning", "necrotic", "poison", "psychic", "radiant", "thunder"];
+
+    // Rarity of +1/+2/+3 items when the source doesn't list them
+    static bonusRarities = {
+        armor: ["rare", "veryRare", "legendary"],
+        default: ["uncommon", "rare", "veryRare"]
+    };
+
+    static #weaponCategory = /\b(?<kind>simple|martial)\s+(?<range>melee|ranged)\s+weapon/i;
+    static #weaponDamage = /(?:damage[:\s]*)?(?<formula>\d+d\d+(?:\s*[+-]\s*\d+)?|\b\d+)\s+(?<type>bludgeoning|piercing|slashing)\b(?!\s+damage)/i;
+    static #weaponProperties = /^\s*properties[:\s]+(?<properties>.*)$/im;
+    static #weaponMastery = /\bmastery(?: property)?[:\s]+(?<mastery>cleave|graze|nick|push|sap|slow|topple|vex)\b/i;
+    static #weaponRange = /\brange[:\s]+(?<value>\d+)\s*\/\s*(?<long>\d+)(?:\s*(?<units>ft\.?|feet))?(?:\s*;\s*(?<ammo>[a-z ]+?)s?\))?/i;
+    static #versatile = /versatile\s*\((?<formula>\d+d\d+)\)/i;
+    static #armorCategory = /\b(?<category>light|medium|heavy)\s+armor\b|\barmor\s*\((?<category2>light|medium|heavy|shield)\)|^\s*(?<shield>shield)\b/im;
+    static #armorClass = /\b(?:armor class|AC)(?:\s*\(AC\))?[:\s]+(?<value>\d+)(?<dex>\s*\+\s*dex(?:terity)?(?: modifier)?(?:\s*\(max(?:imum)?\.?\s*(?<max>\d+)\))?)?|(?<value2>\d+)\s*\+\s*dex(?:terity)? modifier(?:\s*\(max(?:imum)?\.?\s*(?<max2>\d+)\))?/i;
+    static #shieldBonus = /\b(?:armor class|AC)[:\s]+\+\s*(?<bonus>\d+)/i;
+    static #strength = /\bstr(?:ength)?(?:\s+requirement)?[:\s]+(?:score of\s+)?(?<strength>\d+)\b/i;
+    static #charges = /\bhas (?<max>\d+d\d+(?:\s*[+-]\s*\d+)?|\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve) charges?\b/i;
+    static #chargeRecovery = /\bregains? (?<formula>all(?: of its)?|\d+d\d+(?:\s*[+-]\s*\d+)?|\d+|one|two|three|four|five|six) (?:expended |spent )?(?:of its )?charges?(?: daily| each day)?(?: (?:at|each) (?<time>dawn|dusk)| (?:after|when you finish) an? (?<rest>long|short) rest)?/i;
+    static #price = /\b(?:price|cost|value)\b[:\s]*(?:(?<value>\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(?<denomination>cp|sp|ep|gp|pp|copper|silver|electrum|gold|platinum)\b|(?<none>[—–-])(?!\s*\d))|^\s*(?<value2>\d{1,3}(?:,\d{3})+|\d+)\s*(?<denomination2>cp|sp|ep|gp|pp)\.?\s*$/im;
+    static #weight = /\bweight\b[:\s]*(?:(?<value>\d+\s+\d+\/\d+|\d+\/\d+|\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(?<units>lbs?|pounds?|kg|kilograms?)\b|(?<none>[—–-])(?!\s*\d))/i;
+    static #capacityClause = /\b(?:can )?holds? (?:up to )?[^.;)]*|\bcapacity[:\s]+[^.;)]*/gi;
+    static #capacityWeight = /(?<value>\d+\s+\d+\/\d+|\d+\/\d+|\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(?<units>pounds?|lbs?\.?|kilograms?|kg)\b/i;
+    static #capacityVolume = /(?<value>\d+\s+\d+\/\d+|\d+\/\d+|\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(?<units>cubic (?:feet|foot)|cu\.? ?ft\.?|liters?|litres?)\b/i;
+    static #capacityCount = /\bholds? (?:up to )?(?<count>\d+|one|two|three|four|five|six|seven|eight|nine|ten|twelve|twenty) (?!pounds?|lbs?\b|kilograms?|kg\b|cubic|liters?|litres?)[a-z]+/i;
+    static #weightless = /regardless of (?:its|their) contents|contents? (?:don't|do not|doesn't|does not) (?:add to|count (?:toward|against)) (?:its|the \w+'s) weight|weightless contents/i;
+    static #bonusList = /,?\s*\+[1-3](?:\s*,?\s*(?:or\s+|and\s+)?\+[1-3])+/i;
+    // "resistance to one type of damage", "resistance to a damage type of your choice"
+    static #chosenResistance = /\bresistance to (?:one (?:type of damage|damage type)|(?:a|the) (?:damage type|type of damage) (?:of your choice|you choose)|the chosen (?:damage )?type)\b/i;
+    static #rarityList = /\((?<list>(?:(?:very rare|uncommon|common|rare|legendary|artifact)\s*,?\s*(?:or\s+)?){2,})\)/i;
+    static #rarityBonus = /(?<rarity>very rare|uncommon|common|rare|legendary|artifact)\s*\(\+(?<bonus>[1-3])\)/gi;
+    static #stealth = /\bstealth[:\s]+disadvantage\b|\bdisadvantage on (?:dexterity \()?stealth\b/i;
+
+    /**
+     * Resolve a weapon name to its CONFIG.DND5E.weaponIds key
+     * @param {string} name - The weapon name ("Hand Crossbow", "longswords")
+     * @returns {string} - The base item key, or an empty string if it isn't a base weapon
+     */
+    static resolveWeaponId(name) {
+        const key = (name ?? "").toLowerCase().replace(/[^a-z]/g, "");
+        if (this.weaponIds.includes(key)) return key;
+        if (this.weaponIds.includes(key.replace(/s$/, ""))) return key.replace(/s$/, "");
+        return "";
+    }
+
+    /**
+     * Resolve an armor name to its CONFIG.DND5E.armorIds or shieldIds key
+     * @param {string} name - The armor name ("Half Plate Armor", "studded leather")
+     * @returns {string} - The base item key, or an empty string if it isn't a base armor
+     */
+    static resolveArmorId(name) {
+        const key = (name ?? "").toLowerCase().replace(/\barmor\b/g, "").replace(/[^a-z]/g, "");
+        if (key === "studdedleather") return "studded";
+        return key in this.armorIds ? key : "";
+    }
+
+    /**
+     * Find the ammoIds key of an ammunition name ("Arrows", "Crossbow Bolt")
+     * @param {string} name - The ammunition name
+     * @returns {string} - The ammoIds key, empty when it isn't a base ammunition
+     */
+    static resolveAmmoId(name) {
+        const lower = (name ?? "").toLowerCase().trim();
+        const key = Object.keys(this.ammunitionMap).find(k => new RegExp(`^(?:blowgun |crossbow |sling )?${k}s?$`).test(lower));
+        return key ? this.ammunitionMap[key] : "";
+    }
+
+    /**
+     * Parse a generic base item ("any sword that deals slashing damage", "medium or heavy, but not hide")
+     * @param {string} subtype - The parenthesised subtype of the type line
+     * @param {Object} options
+     * @param {string} options.type - The item document type, "weapon", "equipment" or "consumable"
+     * @param {string} options.consumableType - The consumable type, only "ammo" consumables have base items
+     * @returns {Object|null} - { kind, categories, ids, exclude, damageTypes }, or null when the subtype names a single base item,
+     *                          doesn't narrow the base items down ("any") or the item type has no base items
+     */
+    static parseBaseItemConstraint(subtype, { type = "", consumableType = "" } = {}) {
+        const text = (subtype ?? "").toLowerCase().trim();
+        if (!text) return null;
+
+        const kinds = { weapon: "weapon", equipment: "armor", consumable: consumableType === "ammo" ? "ammo" : null };
+        const kind = kinds[type];
+        if (!kind) return null;
+        const resolvers = { weapon: "resolveWeaponId", armor: "resolveArmorId", ammo: "resolveAmmoId" };
+        const resolve = name => this[resolvers[kind]](name);
+        // A named weapon or armor was already looked up by the parser, ammunition is resolved here
+        if ((kind !== "ammo") && resolve(text)) return null;
+
+        const [include, exclude = ""] = text.split(/\b(?:but not|except|other than|not)\b/);
+        const names = part => part.split(/,|\bor\b|\band\b|\bnor\b/).map(name => resolve(name.trim())).filter(id => id);
+        const constraint = { kind: kind, categories: [], ids: names(include), exclude: names(exclude), damageTypes: [] };
+
+        if (kind === "weapon") {
+            const kinds = ["simple", "martial"].filter(k => include.includes(k));
+            const ranges = ["melee", "ranged"].filter(r => include.includes(r));
+            if (kinds.length || ranges.length) {
+                for (const k of (kinds.length ? kinds : ["simple", "martial"])) {
+                    for (const r of (ranges.length ? ranges : ["melee", "ranged"])) {
+                        constraint.categories.push(`${k}${r === "melee" ? "M" : "R"}`);
+                    }
+                }
+            }
+            for (const [group, ids] of Object.entries(this.weaponGroups)) {
+                if (new RegExp(`\\b${group}s?\\b`).test(include)) constraint.ids.push(...ids);
+            }
+            constraint.damageTypes = ["bludgeoning", "piercing", "slashing"].filter(t => include.includes(t));
+        } else {
+            constraint.categories = ["light", "medium", "heavy", "shield"].filter(c => include.includes(c));
+            if (!constraint.categories.length && !constraint.ids.length && constraint.exclude.length) {
+                constraint.categories = ["light", "medium", "heavy"];
+            }
+        }
+
+        // "any" alone leaves every base item open, the item keeps its generic statistics
+        const constrained = constraint.categories.length || constraint.ids.length || constraint.damageTypes.length;
+        return (constrained || constraint.exclude.length) ? constraint : null;
+    }
+
+    /**
+     * Check whether a base item satisfies a generic base item constraint
+     * @param {Object} constraint - From parseBaseItemConstraint
+     * @param {string} id - The weaponIds, armorIds or shieldIds key of the base item
+     * @param {Object} system - The base item system data
+     * @returns {boolean}
+     */
+    static matchesBaseItem(constraint, id, system) {
+        if (constraint.exclude.includes(id)) return false;
+        if (constraint.ids.length && !constraint.ids.includes(id)) return false;
+        if (constraint.categories.length && !constraint.categories.includes(system.type?.value)) return false;
+        if (constraint.damageTypes.length) {
+            const types = Array.from(system.damage?.base?.types ?? []);
+            if (!constraint.damageTypes.some(t => types.includes(t))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Create the item data of a magic item built on a concrete base item
+     * The base item gives the statistics, the magic item keeps its own description, rarity, charges and activities
+     * @param {Object} itemData - The item data parsed from the magic item
+     * @param {Object} baseItem - { key, name, img, system } of the base item
+     * @returns {Object} - New item data named after the base item ("Weapon +1" becomes "Longsword +1")
+     */
+    static applyBaseItem(itemData, baseItem) {
+        const data = foundry.utils.deepClone(itemData);
+        const own = data.system;
+        const system = foundry.utils.deepClone(baseItem.system);
+
+        for (const key of ["description", "source", "rarity", "attunement", "identified", "uses", "magicalBonus"]) {
+            if (own[key] !== undefined) system[key] = own[key];
+        }
+        // A listed price or weight belongs to the magic item, otherwise the base item's applies
+        if (own.price?.value) system.price = own.price;
+        if (own.weight?.value) system.weight = own.weight;
+        if (own.armor?.magicalBonus) system.armor = { ...(system.armor ?? {}), magicalBonus: own.armor.magicalBonus };
+        system.type = { ...(system.type ?? {}), baseItem: baseItem.key };
+        system.properties = Array.from(new Set([...(system.properties ?? []), ...(own.rarity ? ["mgc"] : [])]));
+
+        // The base item brings its own attack, the magic item adds what it can do besides attacking
+        const extra = Object.values(own.activities ?? {}).filter(activity => activity.type !== "attack");
+        system.activities = { ...(system.activities ?? {}), ...activityBuilder.toCollection(extra) };
+
+        const baseName = baseItem.name.replace(/\s+armor$/i, "");
+        if (/^armor of\b/i.test(data.name)) data.name = `${baseName} ${data.name}`;
+        else if (/^(?:weapon|armor|ammunition|shield)\b/i.test(data.name)) data.name = data.name.replace(/^\w+/, baseItem.name);
+        else if (/\b(?:sword|axe|bow|crossbow|hammer|weapon|armor)s?$/i.test(data.name)) data.name = data.name.replace(/\w+$/, baseItem.name);
+        else data.name = `${data.name} ${baseItem.name}`;
+
+        data.img = baseItem.img || data.img;
+        data.system = system;
+        return data;
+    }
+
+    /**
+     * Parse armor statistics from an item block
+     * The category falls back to what the AC formula implies, so homebrew armor still gets its dex cap applied
+     * @param {string} text - The item block without its name
+     * @param {Object} options
+     * @param {string} options.baseItem - The armor named in the type line ("Armor (half plate)")
+     * @returns {Object} - Partial dnd5e 4.x equipment system data
+     */
+    static parseArmor(text, { baseItem = "" } = {}) {
+        const system = {};
+        const source = text ?? "";
+
+        const baseId = this.resolveArmorId(baseItem);
+        const categoryMatch = this.#armorCategory.exec(source);
+        let category = categoryMatch?.groups.category ?? categoryMatch?.groups.category2 ?? categoryMatch?.groups.shield;
+        category = category?.toLowerCase() ?? this.armorIds[baseId] ?? this.armorIds[baseItem?.toLowerCase()];
+
+        const shieldBonus = this.#shieldBonus.exec(source);
+        const armorClass = this.#armorClass.exec(source);
+        if (shieldBonus) {
+            system.armor = { value: parseInt(shieldBonus.groups.bonus) };
+            category = category ?? "shield";
+        } else if (armorClass) {
+            const hasDex = !!(armorClass.groups.dex || armorClass.groups.value2);
+            const max = armorClass.groups.max ?? armorClass.groups.max2;
+            system.armor = {
+                value: parseInt(armorClass.groups.value ?? armorClass.groups.value2),
+                dex: hasDex ? (max ? parseInt(max) : null) : 0
+            };
+            category = category ?? (!hasDex ? "heavy" : (max ? "medium" : "light"));
+        }
+
+        if (category || baseId) {
+            system.type = {};
+            if (category) system.type.value = category;
+            if (baseId) system.type.baseItem = baseId;
+        }
+
+        const strength = this.#strength.exec(source);
+        if (strength) system.strength = parseInt(strength.groups.strength);
+
+        if (this.#stealth.test(source)) system.properties = ["stealthDisadvantage"];
+
+        spbiUtils.log(system);
+        return system;
+    }
+
+    /**
+     * Parse magic item charges and how they are regained
+     * "has 7 charges ... regains 1d6 + 1 expended charges daily at dawn"
+     * @param {string} text - The item description
+     * @returns {Object|null} - dnd5e 4.x uses data ({ max, spent, recovery }), or null without charges
+     */
+    static parseUses(text) {
+        const charges = this.#charges.exec(text ?? "");
+        if (!charges) return null;
+
+        const max = /d/i.test(charges.groups.max)
+            ? charges.groups.max.replace(/\s+/g, " ")
+            : String(spbiUtils.parseNumberWord(charges.groups.max));
+        const uses = { max: max, spent: 0, recovery: [] };
+
+        const recovery = this.#chargeRecovery.exec(text);
+        if (recovery) {
+            const period = recovery.groups.time?.toLowerCase()
+                ?? (recovery.groups.rest ? (recovery.groups.rest.toLowerCase() === "long" ? "lr" : "sr") : "day");
+            const formula = recovery.groups.formula.toLowerCase();
+            if (formula.startsWith("all")) {
+                uses.recovery.push({ period: period, type: "recoverAll", formula: "" });
+            } else {
+                const amount = /d/.test(formula) ? formula.replace(/\s+/g, " ") : String(spbiUtils.parseNumberWord(formula));
+                uses.recovery.push({ period: period, type: "formula", formula: amount });
+            }
+        }
+
+        spbiUtils.log(uses);
+        return uses;
+    }
+
+    /**
+     * Give a single-use consumable its activities, used up and destroyed after one use
+     * Consumables with charges keep the uses parsed from their charges
+     * @param {Object} itemData - The consumable item data, updated in place
+     * @param {string} text - The item description
+     * @returns {Object} - The item data
+     */
+    static addConsumableActivities(itemData, text) {
+        if (!this.singleUseConsumables.includes(itemData.system.type?.value)) return itemData;
+
+        const activities = activityBuilder.buildConsumableActivities(text);
+        if (!activities.length) return itemData;
+
+        itemData.system.activities = { ...(itemData.system.activities ?? {}), ...activityBuilder.toCollection(activities) };
+        if (!itemData.system.uses?.max) {
+            itemData.system.uses = { max: "1", spent: 0, recovery: [], autoDestroy: true };
+        }
+        return itemData;
+    }
+
+    /**
+     * Parse a price ("Cost 2 sp", "Price: 1,500 gp", "Cost —")
+     * @param {string} text - The item block
+     * @returns {Object|null} - dnd5e 4.x price data ({ value, denomination }), or null without a price
+     */
+    static parsePrice(text) {
+        const match = this.#price.exec(text ?? "");
+        if (!match) return null;
+
+        const denomination = (match.groups.denomination ?? match.groups.denomination2 ?? "gp").toLowerCase();
+        return {
+            value: this.#quantity(match.groups.value ?? match.groups.value2 ?? match.groups.none),
+            denomination: { copper: "cp", silver: "sp", electrum: "ep", gold: "gp", platinum: "pp" }[denomination] ?? denomination
+        };
+    }
+
+    /**
+     * Parse a weight ("Weight 1/2 lb.", "Weight: 1 1/2 lb.", "Weight 2 kg", "Weight —")
+     * @param {string} text - The item block
+     * @returns {Object|null} - dnd5e 4.x weight data ({ value, units }), or null without a weight
+     */
+    static parseWeight(text) {
+        const match = this.#weight.exec(text ?? "");
+        if (!match) return null;
+
+        return {
+            value: this.#quantity(match.groups.value ?? match.groups.none),
+            units: /^k/i.test(match.groups.units ?? "") ? "kg" : "lb"
+        };
+    }
+
+    /**
+     * Parse what a container can hold
+     * "can hold up to 500 pounds, not exceeding a volume of 64 cubic feet", "holds 1 cubic foot / 30 pounds", "holds 20 arrows"
+     * @param {string} text - The item block
+     * @returns {Object|null} - Partial dnd5e 4.x container system data ({ capacity, properties }), or null without a capacity
+     */
+    static parseContainer(text) {
+        const clauses = Array.from((text ?? "").matchAll(this.#capacityClause), match => match[0]);
+        // "not exceeding a volume of 64 cubic feet" continues the clause after the comma
+        const capacity = clauses.join(" ");
+        const weight = this.#capacityWeight.exec(capacity);
+        const volume = this.#capacityVolume.exec(capacity);
+        const count = this.#capacityCount.exec(capacity);
+        if (!weight && !volume && !count) return null;
+
+        const data = { capacity: {} };
+        if (weight) {
+            data.capacity.weight = { value: this.#quantity(weight.groups.value), units: /^k/i.test(weight.groups.units) ? "kg" : "lb" };
+        }
+        if (volume) {
+            data.capacity.volume = { value: this.#quantity(volume.groups.value), units: /^l/i.test(volume.groups.units) ? "liter" : "cubicFoot" };
+        }
+        if (count && !weight && !volume) data.capacity.count = spbiUtils.parseNumberWord(count.groups.count);
+        if (this.#weightless.test(text)) data.properties = ["weightlessContents"];
+
+        spbiUtils.log(data);
+        return data;
+    }
+
+    /**
+     * Parse the tool type, base tool and ability of a tool, kit or instrument
+     * "Thieves' Tools", "Alchemist's Supplies", "Lute" or the 2024 "Ability: Dexterity" line
+     * @param {string} name - The item name
+     * @param {string} text - The item block
+     * @param {Object} options
+     * @param {string} options.type - The item type written in the source ("tool", "instrument", ...)
+     * @returns {Object} - Partial dnd5e tool system data ({ type, ability, proficient, bonus })
+     */
+    static parseTool(name, text, { type = "" } = {}) {
+        const lower = (name ?? "").toLowerCase();
+        const key = Object.keys(this.toolIds).find(k => new RegExp(`\\b${k}`).test(lower));
+        const [baseItem, toolType, ability] = key ? this.toolIds[key] : ["", "", "int"];
+
+        let value = toolType;
+        if (!value && /instrument/i.test(type)) value = "music";
+        if (!value && /artisan'?s tools/i.test(text ?? "")) value = "art";
+        if (!value && /gaming set/i.test(text ?? "")) value = "game";
+
+        const written = (text ?? "").match(/\bability:\s*(?<ability>strength|dexterity|constitution|intelligence|wisdom|charisma)/i);
+        return {
+            type: { value: value, baseItem: baseItem },
+            ability: written ? activityBuilder.abilityMap[written.groups.ability.toLowerCase()] : ability,
+            proficient: null,
+            bonus: ""
+        };
+    }
+
+    /**
+     * Find the loot type of gear, gems and other treasure
+     * @param {string} type - The item type written in the source ("adventuring gear", "gemstone", ...)
+     * @returns {Object} - The dnd5e loot type data ({ value, subtype })
+     */
+    static parseLootType(type) {
+        return { value: this.lootTypes[(type ?? "").toLowerCase().trim()] ?? "", subtype: "" };
+    }
+
+    /**
+     * Check whether an item is a container, anything with a weight or volume capacity
+     * or something named like a container that holds a number of things ("holds 20 arrows")
+     * @param {string} name - The item name
+     * @param {string} text - The item block
+     * @returns {boolean}
+     */
+    static isContainer(name, text) {
+        const data = this.parseContainer(text);
+        if (!data) return false;
+        if (data.capacity.weight || data.capacity.volume) return true;
+        return /\b(?:backpack|bag|bandolier|barrel|basket|box|case|chest|pouch|quiver|sack)\b/i.test(name ?? "");
+    }
+
+    /**
+     * Detect a family of variants described by a single entry
+     * "Weapon, +1, +2, or +3 (uncommon, rare, very rare)" gives one variant per bonus,
+     * "Armor of Resistance" gives one variant per damage type
+     * @param {string} name - The item name
+     * @param {string} text - The item block without its name
+     * @param {Object} options
+     * @param {string} options.type - The item document type, picks the default rarities of +1/+2/+3 armor
+     * @param {string} options.header - The name as written in the source, before it was title-cased or renamed after a base item
+     * @returns {Array<Object>} - { name, rarity, magicalBonus } or { name, damageType } variants, empty when there is no family
+     */
+    static detectVariants(name, text, { type = "", header: headerName = name } = {}) {
+        const header = `${headerName}\n${(text ?? "").split("\n")[0]}`;
+
+        const bonuses = header.match(this.#bonusList);
+        if (bonuses) {
+            const baseName = name.replace(this.#bonusList, "").replace(/[\s,]+$/, "").trim();
+            const values = bonuses[0].match(/[1-3]/g).map(Number);
+
+            // "Uncommon (+1), Rare (+2)" pairs the rarity with its bonus, "(uncommon, rare, very rare)" lists them in order
+            const paired = {};
+            for (const match of header.matchAll(this.#rarityBonus)) paired[match.groups.bonus] = this.#rarity(match.groups.rarity);
+            const listed = header.match(this.#rarityList)?.groups.list.split(/,|\bor\b/).map(r => r.trim()).filter(r => r) ?? [];
+            const defaults = (type === "equipment") && !/\bshield\b/i.test(header) ? this.bonusRarities.armor : this.bonusRarities.default;
+
+            return values.map((bonus, index) => ({
+                name: `${baseName} +${bonus}`,
+                rarity: paired[bonus] ?? (listed[index] ? this.#rarity(listed[index]) : defaults[bonus - 1]),
+                magicalBonus: bonus
+            }));
+        }
+
+        // "Armor of Resistance" lets the damage type be chosen, "Ring of Fire Resistance" already names it
+        // and "Mantle of Spell Resistance" isn't about damage at all
+        const chosen = /\bof resistance$/i.test(name) || this.#chosenResistance.test(text ?? "");
+        if (chosen && !this.resistanceTypes.some(t => new RegExp(`\\b${t}\\b`, "i").test(name))) {
+            const mentioned = this.resistanceTypes.filter(t => new RegExp(`\\b${t}\\b`, "i").test(text ?? ""));
+            const types = mentioned.length > 1 ? mentioned : this.resistanceTypes;
+            return types.map(damageType => {
+                const label = spbiUtils.capitalizeFirstLetter(damageType);
+                return {
+                    name: /\bresistance\b/i.test(name) ? name.replace(/\bresistance\b/i, `${label} Resistance`) : `${name} (${label})`,
+                    damageType: damageType
+                };
+            });
+        }
+
+        return [];
+    }
+
+    /**
+     * Create the item data of a single variant, sharing the description of the family
+     * @param {Object} itemData - The item data of the family
+     * @param {Object} variant - A variant from detectVariants
+     * @returns {Object} - New item data for the variant
+     */
+    static applyVariant(itemData, variant) {
+        const data = foundry.utils.deepClone(itemData);
+        data.name = variant.name;
+        if (variant.rarity) data.system.rarity = variant.rarity;
+
+        if (variant.magicalBonus) {
+            // Armor and shields keep their bonus beside the AC, weapons and ammunition on the item
+            if (data.type === "equipment") {
+                data.system.armor = { ...(data.system.armor ?? {}), magicalBonus: variant.magicalBonus };
+            } else {
+                data.system.magicalBonus = variant.magicalBonus;
+            }
+            data.system.properties = Array.from(new Set([...(data.system.properties ?? []), "mgc"]));
+        }
+
+        if (variant.damageType) {
+            data.effects = [...(data.effects ?? []), effectBuilder.createEffect(
+                `${spbiUtils.capitalizeFirstLetter(variant.damageType)} Resistance`,
+                [{ key: "system.traits.dr.value", mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: variant.damageType }],
+                { img: data.img }
+            )];
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse weapon statistics from an item block
+     * Only the fields found in the text are returned, so the result can be merged over compendium data
+     * @param {string} text - The item block without its name
+     * @param {Object} options
+     * @param {string} options.baseItem - The weapon named in the type line ("Weapon (longsword)")
+     * @returns {Object} - Partial dnd5e 4.x weapon system data
+     */
+    static parseWeapon(text, { baseItem = "" } = {}) {
+        const system = {};
+        const source = text ?? "";
+
+        const type = {};
+        const category = this.#weaponCategory.exec(source);
+        if (category) {
+            type.value = category.groups.kind.toLowerCase() + (category.groups.range.toLowerCase() === "melee" ? "M" : "R");
+        }
+        const baseId = this.resolveWeaponId(baseItem);
+        if (baseId) type.baseItem = baseId;
+        if (Object.keys(type).length) system.type = type;
+
+        // The base damage is "1d8 slashing", extra damage in the description reads "1d6 fire damage"
+        const damage = this.#weaponDamage.exec(source);
+        const damageTypes = damage ? [damage.groups.type.toLowerCase()] : [];
+        if (damage) {
+            system.damage = { base: this.#weaponDamagePart(damage.groups.formula, damageTypes) };
+        }
+
+        // Properties are listed on their own line, labeled or not, or after the damage in a table row
+        const propertyLine = this.#weaponProperties.exec(source);
+        let propertyText = propertyLine?.groups.properties ?? "";
+        if (!propertyText) {
+            const lineEnd = damage ? source.indexOf("\n", damage.index) : -1;
+            const following = damage ? (lineEnd === -1 ? [] : source.substring(lineEnd + 1).split("\n")) : source.split("\n");
+            const remainder = damage ? source.substring(damage.index + damage[0].length, lineEnd === -1 ? undefined : lineEnd) : "";
+            propertyText = following.find(line => this.#isPropertyList(line)) ?? remainder;
+        }
+        const properties = this.parseWeaponProperties(propertyText);
+        if (properties.length) system.properties = properties;
+
+        const versatile = this.#versatile.exec(propertyText);
+        if (versatile) {
+            system.damage = system.damage ?? {};
+            system.damage.versatile = this.#weaponDamagePart(versatile.groups.formula, damageTypes);
+        }
+
+        const range = this.#weaponRange.exec(propertyText) ?? this.#weaponRange.exec(source);
+        if (range) {
+            system.range = {
+                value: parseInt(range.groups.value),
+                long: parseInt(range.groups.long),
+                units: "ft"
+            };
+            const ammo = range.groups.ammo?.toLowerCase().trim();
+            if (ammo && this.ammunitionMap[ammo]) system.ammunition = { type: this.ammunitionMap[ammo] };
+        }
+
+        const mastery = this.#weaponMastery.exec(source);
+        if (mastery) system.mastery = mastery.groups.mastery.toLowerCase();
+
+        spbiUtils.log(system);
+        return system;
+    }
+
+    /**
+     * Parse a magic staff, a simple melee weapon that is also a spellcasting focus
+     * Staffs without their own statistics have no attack, like the staffs of the dnd5e compendium
+     * @param {string} text - The item block without its name
+     * @returns {Object} - Partial dnd5e 4.x weapon system data
+     */
+    static parseStaff(text) {
+        const system = this.parseWeapon(text, { baseItem: /\bquarterstaff\b/i.test(text ?? "") ? "quarterstaff" : "" });
+        system.type = { value: "simpleM", baseItem: "", ...system.type };
+        system.properties = Array.from(new Set([...(system.properties ?? []), "foc"]));
+        return system;
+    }
+
+    /**
+     * Map a property list ("Finesse, light, thrown (range 20/60)") to dnd5e weapon property keys
+     * @param {string} text - The property list
+     * @returns {Array<string>} - Weapon property keys
+     */
+    static parseWeaponProperties(text) {
+        const properties = [];
+        for (const [name, key] of Object.entries(this.weaponPropertyMap)) {
+            if (new RegExp(`\\b${name}\\b`, "i").test(text ?? "") && !properties.includes(key)) properties.push(key);
+        }
+        return properties;
+    }
+
+    /**
+     * Check whether a line is nothing but a property list, "Ammunition (range 100/400), heavy, loading, two-handed"
+     * @param {string} line - A line of the item block
+     * @returns {boolean}
+     */
+    static #isPropertyList(line) {
+        const entries = line.split(/,(?![^(]*\))/).map(entry => entry.trim().toLowerCase()).filter(entry => entry);
+        const names = Object.keys(this.weaponPropertyMap);
+        return entries.length > 0 && entries.every(entry => names.some(name => new RegExp(`^${name}\\b`).test(entry)));
+    }
+
+    /**
+     * Build the attack activity used by a weapon
+     * @param {Object} system - The weapon system data
+     * @returns {Object} - The system.activities collection
+     */
+    static buildWeaponActivities(system) {
+        const ranged = system.type?.value?.endsWith("R") ?? false;
+        return activityBuilder.toCollection([
+            activityBuilder.createActivity("attack", {
+                activation: { type: "action", value: 1, condition: "", override: false },
+                attack: {
+                    ability: "",
+                    bonus: "",
+                    critical: { threshold: null },
+                    flat: false,
+                    type: { value: ranged ? "ranged" : "melee", classification: "weapon" }
+                },
+                damage: { critical: { bonus: "" }, includeBase: true, parts: [] }
+            })
+        ]);
+    }
+
+    /**
+     * Read a price or weight amount, "—" means none
+     * @param {string} amount - "1,500", "1/2", "1 1/2", "0.5" or a dash
+     * @returns {number}
+     */
+    static #quantity(amount) {
+        const cleaned = amount.replace(/,/g, "").trim();
+        if (/^[—–-]$/.test(cleaned)) return 0;
+
+        const mixed = cleaned.match(/^(?<whole>\d+)\s+(?<fraction>\d+\/\d+)$/);
+        if (mixed) return parseInt(mixed.groups.whole) + spbiUtils.parseFraction(mixed.groups.fraction);
+        if (cleaned.includes("/")) return spbiUtils.parseFraction(cleaned);
+        return parseFloat(cleaned);
+    }
+
+    /**
+     * Convert a rarity as written in the source into its dnd5e key
+     * @param {string} rarity - "very rare", "Uncommon", ...
+     * @returns {string}
+     */
+    static #rarity(rarity) {
+        const key = rarity.trim().toLowerCase();
+        return key === "very rare" ? "veryRare" : key;
+    }
+
+    /**
+     * Build a weapon DamageData, flat damage like a blowgun's "1 piercing" is stored as the bonus
+     * @param {string} formula - The damage formula
+     * @param {Array<string>} types - The damage types
+     * @returns {Object} - DamageData source
+     */
+    static #weaponDamagePart(formula, types) {
+        if (/^\d+$/.test(formula)) {
+            const part = activityBuilder.createDamagePart("", types);
+            part.bonus = formula;
+            return part;
+        }
+        return activityBuilder.createDamagePart(formula, types);
+    }
+}
@@ -4,6 +4,10 @@
  */
 
 import { spbiUtils } from "../spbiUtils.js";
+import { activityBuilder } from "./activityBuilder.js";
+import { itemBuilder } from "./itemBuilder.js";
+import { effectBuilder } from "./effectBuilder.js";
+import { actorBuilder } from "./actorBuilder.js";
 
 export class schemaMapper {
     static mapToFoundrySchema(type, extractedData) {
@@ -20,84 +24,56 @@ export class schemaMapper {
                 return this._mapClassFeatureData(extractedData);
             case 'feat':
                 return this._mapFeatData(extractedData);
+            case 'background':
+                return this._mapBackgroundData(extractedData);
             default:
                 throw new Error(`Unknown content type: ${type}`);
         }
     }
 
     static _mapSpellData(extractedData) {
+        const target = activityBuilder.parseTarget(extractedData.range, extractedData.description);
+        const castingTime = this.mapCastingTime(extractedData.castingTime);
         const spellData = {
             name: extractedData.name,
             type: "spell",
             img: "modules/5e-items-importer/img/spell.png",
             system: {
                 description: { value: extractedData.description || "" },
-                source: extractedData.source || "",
-                activation: {
-                    type: this._mapActivationType(extractedData.castingTime),
-                    cost: this._extractActivationCost(extractedData.castingTime),
-                    condition: ""
-                },
+                source: { custom: extractedData.source || "" },
+                activation: castingTime.activation,
                 duration: {
                     value: this._extractDurationValue(extractedData.duration),
                     units: this._mapDurationUnits(extractedData.duration)
                 },
-                target: {
-                    value: this._extractTargetValue(extractedData.range),
-                    width: null,
-                    units: "ft",
-                    type: this._determineTargetType(extractedData.range)
-                },
+                target: target,
                 range: {
                     value: this._extractRangeValue(extractedData.range),
                     long: null,
                     units: this._mapRangeUnits(extractedData.range)
                 },
-                uses: { value: null, max: null, per: "" },
-                consume: { type: "", target: "", amount: null },
-                ability: "",
-                actionType: this._determineSpellActionType(extractedData),
-                attackBonus: 0,
-                chatFlavor: "",
-                critical: { threshold: null, damage: "" },
-                damage: {
-                    parts: this._extractDamageParts(extractedData.description),
-                    versatile: ""
-                },
-                formula: "",
-                save: {
-                    ability: this._extractSaveAbility(extractedData.description),
-                    dc: null,
-                    scaling: "spell"
-                },
                 level: this._extractSpellLevel(extractedData.level),
                 school: this._mapSpellSchool(extractedData.school),
-                components: {
-                    value: "",
-                    vocal: extractedData.components?.includes('v') || false,
-                    somatic: extractedData.components?.includes('s') || false,
-                    material: extractedData.components?.includes('m') || false,
-                    ritual: extractedData.ritual || false,
-                    concentration: extractedData.duration?.toLowerCase().includes('concentration') || false
-                },
-                materials: {
-                    value: extractedData.materials || "",
-                    consumed: false,
-                    cost: 0,
-                    supply: 0
-                },
-                preparation: { mode: "prepared", prepared: false },
-                scaling: {
-                    mode: this._determineScalingMode(extractedData),
-                    formula: this._extractScalingFormula(extractedData.description)
-                }
+                properties: this._mapSpellProperties(extractedData, castingTime),
+                materials: this.mapSpellMaterials(extractedData.materials),
+                preparation: { mode: castingTime.ritualOnly ? "ritual" : "prepared", prepared: false },
+                activities: activityBuilder.buildSpellActivities(extractedData.description, {
+                    level: this._extractSpellLevel(extractedData.level),
+                    target: target
+                })
             }
         };
         return spellData;
     }
 
     static _mapItemData(extractedData) {
-        const itemType = this._determineItemType(extractedData.type);
+        let itemType = this._determineItemType(extractedData.type);
+        // Wondrous items and gear that say what they can hold are containers
+        const isArmorOrRing = ["armor", "ring"].includes((extractedData.type || "").toLowerCase());
+        if (["equipment", "loot"].includes(itemType) && !isArmorOrRing
+            && itemBuilder.isContainer(extractedData.name, extractedData.content || extractedData.description)) {
+            itemType = "container";
+        }
         const itemData = {
             name: extractedData.name,
             type: itemType,
@@ -106,8 +82,8 @@ export class schemaMapper {
                 description: { value: extractedData.description || "" },
                 source: extractedData.source || "",
                 quantity: 1,
-                weight: extractedData.weight || 0,
-                price: extractedData.price || 0,
+                weight: extractedData.weight ?? { value: 0, units: "lb" },
+                price: extractedData.price ?? { value: 0, denomination: "gp" },
                 attunement: extractedData.attunement ? 1 : 0,
                 equipped: false,
                 rarity: this._mapItemRarity(extractedData.rarity),
@@ -123,16 +99,136 @@ export class schemaMapper {
             case "loot": this._addLootProperties(itemData, extractedData); break;
             case "container": this._addContainerProperties(itemData, extractedData); break;
         }
+        this._addItemUses(itemData, extractedData);
+        effectBuilder.applyItemEffects(itemData, extractedData.content || extractedData.description);
         return itemData;
     }
 
+    static _determineItemType(type) {
+        switch ((type || "").toLowerCase()) {
+            case "weapon":
+            case "staff":
+                return "weapon";
+            case "armor":
+            case "ring":
+            case "wondrous item":
+                return "equipment";
+            case "container":
+            case "backpack":
+                return "container";
+            case "potion":
+            case "poison":
+            case "food":
+            case "scroll":
+            case "wand":
+            case "rod":
+                return "consumable";
+            case "tool":
+            case "kit":
+            case "supplies":
+            case "instrument":
+                return "tool";
+            default:
+                return "loot";
+        }
+    }
+
+    static _getItemImage(itemType, subtype) {
+        const images = {
+            weapon: "icons/svg/sword.svg",
+            equipment: "icons/svg/shield.svg",
+            consumable: "icons/svg/pill.svg"
+        };
+        return images[itemType] ?? "icons/svg/item-bag.svg";
+    }
+
+    static _mapItemRarity(rarity) {
+        if (!rarity) return "";
+        return rarity.toLowerCase() === "very rare" ? "veryRare" : rarity.toLowerCase();
+    }
+
+    static _addWeaponProperties(itemData, extractedData) {
+        const text = extractedData.content || extractedData.description;
+        const isStaff = (extractedData.type || "").toLowerCase() === "staff";
+        const weaponData = isStaff
+            ? itemBuilder.parseStaff(text)
+            : itemBuilder.parseWeapon(text, { baseItem: extractedData.subtype });
+        Object.assign(itemData.system, weaponData);
+
+        if (itemData.system.rarity) {
+            itemData.system.properties = [...(itemData.system.properties ?? []), "mgc"];
+        }
+        if (!isStaff || itemData.system.damage?.base) {
+            itemData.system.activities = itemBuilder.buildWeaponActivities(itemData.system);
+        }
+    }
+
+    static _addEquipmentProperties(itemData, extractedData) {
+        const type = (extractedData.type || "").toLowerCase();
+        if (type !== "armor") {
+            itemData.system.type = { value: type === "ring" ? "ring" : "wondrous" };
+            if (itemData.system.rarity) itemData.system.properties = ["mgc"];
+            return;
+        }
+
+        const armorData = itemBuilder.parseArmor(extractedData.content || extractedData.description, {
+            baseItem: extractedData.subtype
+        });
+        Object.assign(itemData.system, armorData);
+
+        if (itemData.system.rarity) {
+            itemData.system.properties = [...(itemData.system.properties ?? []), "mgc"];
+        }
+    }
+
+    static _addConsumableProperties(itemData, extractedData) {
+        const type = (extractedData.type || "").toLowerCase();
+        itemData.system.type = { value: type, subtype: "" };
+        if (itemData.system.rarity) itemData.system.properties = ["mgc"];
+        itemBuilder.addConsumableActivities(itemData, extractedData.content || extractedData.description);
+    }
+
+    static _addToolProperties(itemData, extractedData) {
+        const toolData = itemBuilder.parseTool(extractedData.name, extractedData.content || extractedData.description, {
+            type: extractedData.type
+        });
+        Object.assign(itemData.system, toolData);
+        if (itemData.system.rarity) itemData.system.properties = ["mgc"];
+    }
+
+    static _addLootProperties(itemData, extractedData) {
+        itemData.system.type = itemBuilder.parseLootType(extractedData.type);
+        if (itemData.system.rarity) itemData.system.properties = ["mgc"];
+    }
+
+    static _addContainerProperties(itemData, extractedData) {
+        const containerData = itemBuilder.parseContainer(extractedData.content || extractedData.description) ?? {};
+        Object.assign(itemData.system, containerData);
+        if (itemData.system.rarity) {
+            itemData.system.properties = [...(itemData.system.properties ?? []), "mgc"];
+        }
+    }
+
+    // Charges go into the item's uses, and every "expend N charges to ..." clause becomes an activity that spends them
+    static _addItemUses(itemData, extractedData) {
+        const text = extractedData.content || extractedData.description;
+        const uses = itemBuilder.parseUses(text);
+        if (!uses) return;
+
+        itemData.system.uses = uses;
+        const activities = activityBuilder.buildChargeActivities(text);
+        itemData.system.activities = {
+            ...(itemData.system.activities ?? {}),
+            ...activityBuilder.toCollection(activities)
+        };
+    }
+
     static _mapMonsterData(extractedData) {
-        const { actorBuilder } = require('./actorBuilder.js');
+        // Monsters become actors, actorBuilder maps the parsed statblock when the actor is created
         return extractedData;
     }
 
     static async createMonsterActor(monsterData, folderId) {
-        const { actorBuilder } = await import('./actorBuilder.js');
         return await actorBuilder.createActor(monsterData, folderId);
     }
 
@@ -145,8 +241,9 @@ export class schemaMapper {
                 description: {
                     value: extractedData.description || ""
                 },
-                source: extractedData.source || "",
-                requirements: extractedData.requirements || "",
+                source: { custom: extractedData.source || "" },
+                type: { value: "class", subtype: "" },
+                requirements: [spbiUtils.capitalizeAll(extractedData.class || ""), extractedData.level].filter(Boolean).join(" "),
                 recharge: {
                     value: null,
                     charged: false
@@ -166,7 +263,8 @@ export class schemaMapper {
                 description: {
                     value: extractedData.description || ""
                 },
-                source: extractedData.source || "",
+                source: { custom: extractedData.source || "" },
+                type: { value: "feat", subtype: "" },
                 requirements: extractedData.prerequisites || "",
                 recharge: {
                     value: null,
@@ -177,37 +275,120 @@ export class schemaMapper {
         
         return featData;
     }
+
+    static _mapBackgroundData(extractedData) {
+        const details = [
+            ["Skill Proficiencies", extractedData.skillProficiencies],
+            ["Tool Proficiencies", extractedData.toolProficiencies],
+            ["Languages", extractedData.languages],
+            ["Equipment", extractedData.equipment],
+            ["Feature", extractedData.feature]
+        ].filter(([, value]) => value).map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`);
+
+        return {
+            name: extractedData.name,
+            type: "background",
+            img: "icons/svg/book.svg",
+            system: {
+                description: {
+                    value: details.join("") + (extractedData.description || "")
+                },
+                source: { custom: extractedData.source || "" }
+            }
+        };
+    }
     
-    static _mapActivationType(castingTime) {
-        if (!castingTime) return "action";
-        
-        const lowerCasting = castingTime.toLowerCase();
-        if (lowerCasting.includes("bonus action")) return "bonus";
-        if (lowerCasting.includes("reaction")) return "reaction";
-        if (lowerCasting.includes("minute")) return "minute";
-        if (lowerCasting.includes("hour")) return "hour";
-        if (lowerCasting.includes("day")) return "day";
-        if (lowerCasting.includes("special")) return "special";
-        
-        return "action";
+    static _extractSpellLevel(level) {
+        if (!level || level === 'cantrip') return 0;
+
+        const parsed = parseInt(level);
+        return isNaN(parsed) ? 0 : parsed;
     }
 
-    static _extractActivationCost(castingTime) {
-        if (!castingTime) return 1;
-        
-        const match = castingTime.match(/(\d+)\s*(?:bonus action|action|minute|hour|day)/i);
-        if (match) {
-            return parseInt(match[1]);
-        }
-        
-        if (castingTime.toLowerCase().includes('reaction')) {
-            return 1;
+    static _mapSpellSchool(school) {
+        const schoolMap = {
+            abjuration: "abj",
+            conjuration: "con",
+            divination: "div",
+            enchantment: "enc",
+            evocation: "evo",
+            illusion: "ill",
+            necromancy: "nec",
+            transmutation: "trs"
+        };
+
+        return schoolMap[school?.toLowerCase()] || "";
+    }
+
+    static _mapSpellProperties(extractedData, castingTime = {}) {
+        const properties = [];
+        const components = extractedData.components?.toLowerCase().replace(/\(.*\)/, "") || "";
+
+        if (/\bv\b/.test(components)) properties.push("vocal");
+        if (/\bs\b/.test(components)) properties.push("somatic");
+        if (/\bm\b/.test(components)) properties.push("material");
+        if (extractedData.ritual || castingTime.ritual) properties.push("ritual");
+        if (extractedData.duration?.toLowerCase().includes('concentration')) properties.push("concentration");
+
+        return properties;
+    }
+    
+    // "a diamond worth at least 300 gp, which the spell consumes" and the 2024 "worth 300+ GP, consumed"
+    static mapSpellMaterials(materials) {
+        const text = materials?.trim() || "";
+        const result = { value: text, consumed: false, cost: 0 };
+        if (!text) return result;
+
+        const costMatch = text.match(/worth\s+(?:at\s+least\s+)?(\d[\d,]*(?:\.\d+)?)\s*\+?\s*(gp|sp|cp|pp|ep|gold pieces?)\b(?<each>\s+each)?/i);
+        if (costMatch) {
+            const rates = { pp: 10, gp: 1, ep: 0.5, sp: 0.1, cp: 0.01 };
+            const denomination = costMatch[2].toLowerCase().startsWith("gold") ? "gp" : costMatch[2].toLowerCase();
+            let cost = parseFloat(costMatch[1].replace(/,/g, "")) * rates[denomination];
+
+            // "two diamonds worth 100 gp each" costs the total of all of them
+            const quantity = costMatch.groups.each ? spbiUtils.parseNumberWord(text.split(/\s+/)[0]) : null;
+            if (quantity) cost *= quantity;
+
+            result.cost = Math.round(cost * 100) / 100;
         }
-        if (castingTime.toLowerCase().includes('bonus')) {
-            return 1;
+
+        result.consumed = /\bconsumes?\b|\bconsumed\b/i.test(text) && !/not consumed|isn't consumed|doesn't consume/i.test(text);
+
+        return result;
+    }
+
+    // "1 reaction, which you take when ...", "8 hours", "Action or Ritual" and "10 minutes (ritual only)"
+    static mapCastingTime(castingTime) {
+        const text = castingTime?.replace(/\s+/g, " ").trim() || "";
+        const result = { activation: { type: "action", value: 1, condition: "" }, ritual: false, ritualOnly: false };
+        if (!text) return result;
+
+        result.ritualOnly = /\britual only\b|^ritual$/i.test(text);
+        result.ritual = result.ritualOnly || /\britual\b/i.test(text);
+
+        // The reaction trigger is kept as the activation condition
+        const condition = text.match(/,?\s*(which you (?:take|use)\b.*?)\.?$/i);
+        if (condition) result.activation.condition = condition[1];
+
+        const activationMap = {
+            "action": "action",
+            "bonus action": "bonus",
+            "reaction": "reaction",
+            "minute": "minute",
+            "hour": "hour",
+            "day": "day",
+            "special": "special"
+        };
+        const timing = text.replace(condition?.[0] ?? "", "").match(/(?:(?<amount>\d+)\s*)?(?<act>bonus action|action|reaction|minute|hour|day|special)s?\b/i);
+        if (timing) {
+            result.activation.type = activationMap[timing.groups.act.toLowerCase()];
+            result.activation.value = timing.groups.amount ? parseInt(timing.groups.amount) : (result.activation.type === "special" ? null : 1);
+        } else if (!result.ritualOnly) {
+            result.activation.type = "special";
+            result.activation.value = null;
         }
-        
-        return 1;
+
+        return result;
     }
 
     static _extractDurationValue(duration) {
@@ -254,26 +435,11 @@ export class schemaMapper {
         return "inst";
     }
 
-    static _extractTargetValue(range) {
-        if (!range) return null;
-        
-        const aoeMatch = range.match(/(\d+)[\s-]*(foot|feet|ft\.?)[\s-]*(radius|cube|cone|line|sphere)/i);
-        if (aoeMatch) {
-            return parseInt(aoeMatch[1]);
-        }
-        
-        const areaMatch = range.match(/(\d+)[\s-]*(foot|feet|ft\.?)/i);
-        if (areaMatch && (range.includes('cube') || range.includes('cone') || range.includes('sphere') || 
-                          range.includes('cylinder') || range.includes('line') || range.includes('radius'))) {
-            return parseInt(areaMatch[1]);
-        }
-        
-        return null;
-    }
-
     static _extractRangeValue(range) {
         if (!range) return null;
         
+        // Area parentheticals like "Self (15-foot cone)" describe the target, not the range
+        range = range.replace(/\(.*\)/, "");
         const match = range.match(/(\d+)[\s-]*(foot|feet|ft\.?)/i);
         if (match) {
             return parseInt(match[1]);
@@ -292,7 +458,7 @@ export class schemaMapper {
     static _mapRangeUnits(range) {
         if (!range) return "self";
         
-        const lowerRange = range.toLowerCase();
+        const lowerRange = range.replace(/\(.*\)/, "").toLowerCase();
         if (lowerRange.includes("self")) return "self";
         if (lowerRange.includes("touch")) return "touch";
         if (lowerRange.includes("foot") || lowerRange.includes("feet") || lowerRange.includes("ft")) return "ft";
@@ -302,104 +468,4 @@ export class schemaMapper {
         
         return "ft";
     }
-
-    static _determineTargetType(range) {
-        if (!range) return "";
-        
-        const lowerRange = range.toLowerCase();
-        if (lowerRange.includes("cone")) return "cone";
-        if (lowerRange.includes("cube")) return "cube";
-        if (lowerRange.includes("cylinder")) return "cylinder";
-        if (lowerRange.includes("line")) return "line";
-        if (lowerRange.includes("sphere")) return "sphere";
-        if (lowerRange.includes("radius")) return "radius";
-        
-        return "";
-    }
-
-    static _extractDamageParts(description) {
-        if (!description) return [];
-        
-        const damageParts = [];
-        
-        const damagePattern = /(\d+d\d+(?:\s*\+\s*\d+)?)[\s]*(acid|bludgeoning|cold|fire|force|lightning|necrotic|piercing|poison|psychic|radiant|slashing|thunder)?[\s]*damage/gi;
-        
-        let match;
-        while ((match = damagePattern.exec(description)) !== null) {
-            const damageRoll = match[1];
-            const damageType = match[2] ? match[2].toLowerCase() : "";
-            damageParts.push([damageRoll, damageType]);
-        }
-        
-        return damageParts;
-    }
-
-    static _extractSaveAbility(description) {
-        if (!description) return "";
-        
-        const lowerDesc = description.toLowerCase();
-        
-        if (lowerDesc.includes("strength save")) return "str";
-        if (lowerDesc.includes("dexterity save")) return "dex";
-        if (lowerDesc.includes("constitution save")) return "con";
-        if (lowerDesc.includes("intelligence save")) return "int";
-        if (lowerDesc.includes("wisdom save")) return "wis";
-        if (lowerDesc.includes("charisma save")) return "cha";
-        
-        return "";
-    }
-
-    static _determineSpellActionType(extractedData) {
-        const description = extractedData.description?.toLowerCase() || "";
-        
-        if (description.includes("spell attack") || description.includes("attack roll")) {
-            if (description.includes("melee spell attack")) return "msak";
-            if (description.includes("ranged spell attack")) return "rsak";
-            if (description.includes("melee")) return "mwak";
-            if (description.includes("ranged")) return "rwak";
-            return "other";
-        }
-        
-        if (description.includes("saving throw") || 
-            description.includes("must succeed on a") ||
-            description.includes("must make a")) {
-            return "save";
-        }
-        
-        if (description.includes("ability check")) return "abil";
-        
-        if ((description.includes("regain") || description.includes("restore") || description.includes("heal")) && 
-            description.includes("hit point")) {
-            return "heal";
-        }
-        
-        if (this._extractDamageParts(description).length > 0) return "other";
-        
-        return "util";
-    }
-
-    static _determineScalingMode(extractedData) {
-        const description = extractedData.description?.toLowerCase() || "";
-        
-        if (description.includes("at higher levels") || 
-            description.includes("for each slot level above") ||
-            description.includes("higher level slot")) {
-            return "level";
-        }
-        
-        return "none";
-    }
-
-    static _extractScalingFormula(description) {
-        if (!description) return "";
-        
-        const scalingPattern = /(?:at higher levels|when you cast this spell using a spell slot of|when cast at higher levels)[^.]*?(?:increases|add|deals|gain)[^.]*?(\d+d\d+|\d+)\s*(?:damage)?/i;
-        
-        const match = description.match(scalingPattern);
-        if (match) {
-            return match[1].replace(/\s+/g, '');
-        }
-        
-        return "";
-    }
 }
\ No newline at end of file
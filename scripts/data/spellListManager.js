@@ -0,0 +1,242 @@
+/**
+ * Spell List Manager module for 5e-content-importer
+ * Keeps class and subclass spell list journal pages in sync with imported spells
+ */
+
+import { spbiUtils } from "../spbiUtils.js";
+
+export class spellListManager {
+    static SETTING = "spellListJournal";
+    static DEFAULT_JOURNAL = "imported-spells";
+
+    // Class identifiers from the dnd5e classes compendium
+    static classIdentifiers = [
+        "artificer", "barbarian", "bard", "cleric", "druid", "fighter",
+        "monk", "paladin", "ranger", "rogue", "sorcerer", "warlock", "wizard"
+    ];
+
+    // Subclass identifiers from the dnd5e subclasses compendium, keyed by their short names
+    static subclassIdentifiers = {
+        "berserker": "path-of-the-berserker",
+        "champion": "champion",
+        "devotion": "oath-of-devotion",
+        "draconic": "draconic-bloodline",
+        "draconic sorcery": "draconic-bloodline",
+        "evocation": "school-of-evocation",
+        "evoker": "school-of-evocation",
+        "fiend": "the-fiend",
+        "fiend patron": "the-fiend",
+        "hunter": "hunter",
+        "land": "circle-of-the-land",
+        "life": "life-domain",
+        "lore": "college-of-lore",
+        "open hand": "way-of-the-open-hand",
+        "thief": "thief"
+    };
+
+    /**
+     * Register the settings used by the spell list manager
+     */
+    static registerSettings() {
+        game.settings.register("5e-items-importer", this.SETTING, {
+            name: "5e-items-importer.settings.spellListJournal.name",
+            hint: "5e-items-importer.settings.spellListJournal.hint",
+            scope: "world",
+            config: true,
+            type: String,
+            default: this.DEFAULT_JOURNAL
+        });
+    }
+
+    /**
+     * The name of the journal spell lists are written to, empty when spell lists are disabled
+     * @returns {string}
+     */
+    static get journalName() {
+        return game.settings.get("5e-items-importer", this.SETTING)?.trim() ?? "";
+    }
+
+    /**
+     * Normalize a class or subclass name into a spell list entry
+     * @param {string} name - The name as written in the source ("Wizard", "Cleric (Life Domain)", "Oath of Devotion")
+     * @returns {Object|null} - { type, identifier, name } or null if the name is empty
+     */
+    static normalizeEntry(name) {
+        const cleaned = name?.replace(/\s+/g, " ").replace(/[.*]+$/, "").trim();
+        if (!cleaned) return null;
+
+        // "Cleric (Life Domain)" marks a subclass list
+        const parenthetical = cleaned.match(/^(?<class>[^(]+)\((?<subclass>[^)]+)\)$/);
+        if (parenthetical) {
+            const subclass = this.normalizeEntry(parenthetical.groups.subclass);
+            return {
+                type: "subclass",
+                identifier: subclass.type === "subclass" ? subclass.identifier : spbiUtils.slugify(parenthetical.groups.subclass),
+                name: spbiUtils.capitalizeAll(parenthetical.groups.subclass.trim())
+            };
+        }
+
+        const slug = spbiUtils.slugify(cleaned);
+        const singular = slug.replace(/s$/, "");
+        for (const identifier of [slug, singular]) {
+            if (this.classIdentifiers.includes(identifier)) {
+                return { type: "class", identifier, name: spbiUtils.capitalizeAll(identifier) };
+            }
+        }
+
+        const subclasses = Object.values(this.subclassIdentifiers);
+        if (subclasses.includes(slug)) {
+            return { type: "subclass", identifier: slug, name: spbiUtils.capitalizeAll(cleaned) };
+        }
+
+        const short = cleaned.toLowerCase()
+            .replace(/^(?:path|oath|college|circle|school|way|the)\s+of\s+(?:the\s+)?/, "")
+            .replace(/^the\s+/, "")
+            .replace(/\s+(?:domain|bloodline|patron|archetype|conclave|tradition)$/, "");
+        if (this.subclassIdentifiers[short]) {
+            return { type: "subclass", identifier: this.subclassIdentifiers[short], name: spbiUtils.capitalizeAll(cleaned) };
+        }
+
+        // Homebrew classes keep their slug so they still group together
+        return { type: "class", identifier: slug, name: spbiUtils.capitalizeAll(cleaned) };
+    }
+
+    /**
+     * Split a class list ("Bard, Cleric (Life Domain), Sorcerer and Wizard") into spell list entries
+     * @param {string} text - The list of classes and subclasses
+     * @returns {Array<Object>} - Unique { type, identifier, name } entries
+     */
+    static parseEntries(text) {
+        if (!text) return [];
+
+        const entries = [];
+        for (const part of text.split(/,|;|\band\b/)) {
+            const entry = this.normalizeEntry(part);
+            if (entry && !entries.some(e => e.type === entry.type && e.identifier === entry.identifier)) {
+                entries.push(entry);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Get the spell list journal, creating it if it doesn't exist yet
+     * @param {string} name - The journal name, defaults to the configured one
+     * @returns {Promise<JournalEntry|null>} - The journal, or null when spell lists are disabled
+     */
+    static async getJournal(name = this.journalName) {
+        if (!name) return null;
+
+        let journal = game.journal.getName(name);
+        if (!journal) {
+            spbiUtils.log(`Creating spell list journal ${name}`);
+            journal = await JournalEntry.create({ name });
+        }
+        return journal;
+    }
+
+    /**
+     * Find the spell list page for an entry
+     * @param {JournalEntry} journal - The spell list journal
+     * @param {Object} entry - The { type, identifier } entry
+     * @returns {JournalEntryPage|undefined}
+     * @private
+     */
+    static _findPage(journal, entry) {
+        return journal.pages.find(page => page.type === "spells"
+            && page.system.type === entry.type
+            && page.system.identifier === entry.identifier);
+    }
+
+    /**
+     * Add a spell to the spell lists of the given classes and subclasses
+     * Spells without a uuid are stored as unlinked spells so they still show up on the list
+     * @param {Item|Object} spell - The created spell, or plain spell data for an unlinked spell
+     * @param {Array<Object>|string} entries - Spell list entries or the raw class list text
+     * @param {Object} options
+     * @param {string} options.journalName - Journal to write to, defaults to the configured one
+     * @returns {Promise<Array<JournalEntryPage>>} - The pages that contain the spell
+     */
+    static async addSpell(spell, entries, { journalName } = {}) {
+        if (typeof entries === "string") entries = this.parseEntries(entries);
+        if (!entries?.length) return [];
+
+        const journal = await this.getJournal(journalName);
+        if (!journal) return [];
+
+        const pages = [];
+        for (const entry of entries) {
+            let page = this._findPage(journal, entry);
+            if (!page) {
+                [page] = await journal.createEmbeddedDocuments("JournalEntryPage", [{
+                    name: entry.name,
+                    type: "spells",
+                    system: {
+                        identifier: entry.identifier,
+                        grouping: "level",
+                        type: entry.type,
+                        spells: [],
+                        unlinkedSpells: []
+                    }
+                }]);
+            }
+
+            const update = spell.uuid ? this._linkedUpdate(page, spell) : this._unlinkedUpdate(page, spell);
+            if (update) await page.update(update);
+            pages.push(page);
+        }
+
+        return pages;
+    }
+
+    /**
+     * Build the page update that links a spell, replacing an unlinked entry with the same name
+     * @param {JournalEntryPage} page - The spell list page
+     * @param {Item} spell - The spell document
+     * @returns {Object|null} - The update data, or null if the spell is already listed
+     * @private
+     */
+    static _linkedUpdate(page, spell) {
+        const spells = new Set(page.system.spells);
+        const unlinked = page.system.unlinkedSpells.filter(s => s.name.toLowerCase() !== spell.name.toLowerCase());
+        if (spells.has(spell.uuid) && (unlinked.length === page.system.unlinkedSpells.length)) return null;
+
+        spells.add(spell.uuid);
+        const update = { "system.spells": Array.from(spells) };
+        if (unlinked.length !== page.system.unlinkedSpells.length) {
+            update["system.unlinkedSpells"] = unlinked.map(s => s.toObject?.() ?? s);
+        }
+        return update;
+    }
+
+    /**
+     * Build the page update that adds an unlinked spell
+     * @param {JournalEntryPage} page - The spell list page
+     * @param {Object} spell - The spell data with name, system.level, system.school and optional source
+     * @returns {Object|null} - The update data, or null if the spell is already listed
+     * @private
+     */
+    static _unlinkedUpdate(page, spell) {
+        const name = spell.name.toLowerCase();
+        if (page.system.unlinkedSpells.some(s => s.name.toLowerCase() === name)) return null;
+
+        const linked = Array.from(page.system.spells).some(uuid => fromUuidSync(uuid)?.name?.toLowerCase() === name);
+        if (linked) return null;
+
+        const unlinked = page.system.unlinkedSpells.map(s => s.toObject?.() ?? s);
+        unlinked.push({
+            name: spell.name,
+            system: {
+                level: parseInt(spell.system?.level) || 0,
+                school: spell.system?.school ?? ""
+            },
+            source: {
+                book: spell.source?.book ?? "",
+                page: spell.source?.page ?? "",
+                custom: spell.source?.custom ?? "",
+                uuid: spell.source?.uuid ?? ""
+            }
+        });
+        return { "system.unlinkedSpells": unlinked };
+    }
+}
@@ -58,24 +58,19 @@ export class validator {
             spbiUtils.log("Warning: Invalid spell school detected, defaulting to abjuration");
         }
         
-        // Validate components
-        if (!data.system.components) {
-            data.system.components = {
-                value: "",
-                vocal: false,
-                somatic: false,
-                material: false,
-                ritual: false,
-                concentration: false
-            };
+        // Validate properties
+        if (!data.system.properties) {
+            data.system.properties = [];
         }
         
-        // Validate damage parts
-        if (data.system.damage && data.system.damage.parts) {
-            data.system.damage.parts = data.system.damage.parts.filter(part => {
-                // Each part should be an array with at least 2 elements
-                return Array.isArray(part) && part.length >= 2 && part[0];
-            });
+        // Validate activity damage parts
+        for (const activity of Object.values(data.system.activities ?? {})) {
+            if (activity.damage?.parts) {
+                activity.damage.parts = activity.damage.parts.filter(part => {
+                    // Each part needs either dice or a custom formula
+                    return part && (part.denomination || part.custom?.formula);
+                });
+            }
         }
         
         return data;
@@ -4,9 +4,16 @@ import {
 import {
     spbiWindow
 } from "./spbiWindow.js";
+import {
+    spbiParser
+} from "./spbiParser.js";
+import {
+    spellListManager
+} from "./data/spellListManager.js";
 
 Hooks.once('init', async function() {
-
+    spellListManager.registerSettings();
+    spbiParser.registerSettings();
 });
 
 Hooks.once('ready', async function() {
@@ -9,13 +9,16 @@ export class contentDetector {
     // Regular expressions for detecting different content types
     static #spellBlockPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:\d+)(?:st|nd|rd|th))?[-\s]?(?:level)?\s*(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)\s*(?:spell|cantrip)?(?:\s*\(ritual\))?)\s*(?:\r?\n)/im;
     
-    static #itemBlockPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:wondrous item|armor|weapon|ring|rod|staff|wand|potion|scroll|tool|kit|supplies|instrument))?\s*(?:\([\w\s]+\))?\s*(?:,)?\s*(?:(?:uncommon|common|rare|very rare|legendary|artifact))?)\s*(?:\r?\n)/im;
+    // 2024 layout: "Level 3 Evocation (Sorcerer, Wizard)" or "Evocation Cantrip (Wizard)"
+    static #spellBlockPattern2024 = /^([\w\s'-]+)\s*(?:\r?\n)((?:level\s+\d+\s+(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)|(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)\s+cantrip)(?:\s*\([^)\r\n]*\))?)\s*(?:\r?\n)/im;
+    
+    static #itemBlockPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?!armor class)(?:wondrous item|armor|weapon|shield|ring|rod|staff|wand|potion|scroll|ammunition|tool|kit|supplies|instrument|(?:simple|martial)\s+(?:melee|ranged)\s+weapon|(?:light|medium|heavy)\s+armor)\b[^\r\n]*)\s*(?:\r?\n)/im;
     
     static #monsterBlockPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:tiny|small|medium|large|huge|gargantuan)\s+(?:aberration|beast|celestial|construct|dragon|elemental|fey|fiend|giant|humanoid|monstrosity|ooze|plant|undead))\s*(?:\([^\)]+\))?\s*(?:,)?\s*(?:(?:unaligned|lawful good|neutral good|chaotic good|lawful neutral|neutral|chaotic neutral|lawful evil|neutral evil|chaotic evil|any alignment|any non-good alignment|any non-lawful alignment|any chaotic alignment))?)\s*(?:\r?\n)/im;
     
-    static #classFeaturePattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:\d+)(?:st|nd|rd|th))?[-\s]?level\s*(?:feature|class feature))\s*(?:\r?\n)/im;
+    static #classFeaturePattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:\d+)(?:st|nd|rd|th))?[-\s]?level\s*(?:[a-z]+\s+)?(?:feature|class feature))\s*(?:\r?\n)/im;
     
-    static #featPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:feat|prerequisite:))\s*(?:\r?\n)/im;
+    static #featPattern = /^([\w\s'-]+)\s*(?:\r?\n)((?:(?:origin|general|fighting style|epic boon)\s+)?feat(?:\s*\(prerequisite:[^)\r\n]*\))?|prerequisites?:[^\r\n]*)\s*(?:\r?\n)/im;
     
     static #backgroundPattern = /^([\w\s'-]+)\s*(?:\r?\n)(background)\s*(?:\r?\n)/im;
     
@@ -36,10 +39,11 @@ export class contentDetector {
         for (const block of potentialBlocks) {
             if (block.trim().length < 10) continue; // Skip very short blocks
             
-            const blockType = this._identifyBlockType(block);
-            if (blockType) {
+            const detected = this.detectBlockType(block);
+            if (detected) {
                 contentBlocks.push({
-                    type: blockType,
+                    type: detected.type,
+                    confidence: detected.confidence,
                     content: block.trim()
                 });
             }
@@ -144,7 +148,7 @@ export class contentDetector {
         
         // Title case name followed by spell level and school
         if (/^[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*$/.test(line) && 
-            /(?:\d+(?:st|nd|rd|th)[-\s]level|cantrip)\s+(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)/i.test(context)) {
+            /(?:\d+(?:st|nd|rd|th)[-\s]level|level\s+\d+|cantrip)\s+(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)|(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)\s+cantrip/i.test(context)) {
             return true;
         }
         
@@ -170,51 +174,61 @@ export class contentDetector {
      * @private
      */
     static _identifyBlockType(block) {
+        return this.detectBlockType(block)?.type ?? null;
+    }
+    
+    /**
+     * Identify the type of a content block and how sure the match is
+     * A matching header line is near certain, statblock fields are likely and keyword heuristics are a guess
+     * @param {string} block - The content block
+     * @returns {Object|null} - { type, confidence } with confidence between 0 and 1, or null if unknown
+     */
+    static detectBlockType(block) {
         // Check for spell blocks
-        if (this.#spellBlockPattern.test(block)) {
-            return 'spell';
+        if (this.#spellBlockPattern.test(block) || this.#spellBlockPattern2024.test(block)) {
+            return { type: 'spell', confidence: 0.9 };
         }
         
         // Check for item blocks
         if (this.#itemBlockPattern.test(block)) {
-            return 'item';
+            return { type: 'item', confidence: 0.9 };
         }
         
         // Check for monster blocks
         if (this.#monsterBlockPattern.test(block)) {
-            return 'monster';
+            return { type: 'monster', confidence: 0.9 };
         }
         
         // Additional monster detection patterns
         // Check for common monster statblock patterns like AC, HP, etc.
         if (/armor class\s+\d+|hit points\s+\d+\s*\([\dd\+\s]+\)/i.test(block) && 
             /str\s+\d+\s*\([+-]\d+\)|dex\s+\d+\s*\([+-]\d+\)/i.test(block)) {
-            return 'monster';
+            return { type: 'monster', confidence: 0.8 };
         }
         
         // Check for monster blocks with ability scores section
         if (/\b(str|dex|con|int|wis|cha)\s+\d+\s*\([+-]\d+\)\s+(str|dex|con|int|wis|cha)\s+\d+\s*\([+-]\d+\)/i.test(block)) {
-            return 'monster';
+            return { type: 'monster', confidence: 0.7 };
         }
         
         // Check for monster blocks with challenge rating
         if (/challenge\s+([\d\/]+)\s*\([\d,]+\s*xp\)/i.test(block)) {
-            return 'monster';
+            return { type: 'monster', confidence: 0.7 };
         }
         
         // Check for class feature blocks
         if (this.#classFeaturePattern.test(block)) {
-            return 'classFeature';
+            return { type: 'classFeature', confidence: 0.9 };
         }
         
         // Check for feat blocks
         if (this.#featPattern.test(block)) {
-            return 'feat';
+            return { type: 'feat', confidence: 0.9 };
         }
         
         // Check for background blocks
         if (this.#backgroundPattern.test(block)) {
-            return 'background';
+            return { type: 'background', confidence: 0.9 };
         }
         
         // Additional heuristics for blocks that don't match the patterns
@@ -222,43 +236,43 @@ export class contentDetector {
         // Check for spell-like content
         if (/casting time|components|duration|range/i.test(block) && 
             /(?:abjuration|conjuration|divination|enchantment|evocation|illusion|necromancy|transmutation)/i.test(block)) {
-            return 'spell';
+            return { type: 'spell', confidence: 0.6 };
         }
         
         // Tool indicators
         if (/(?:tool|kit|supplies)/i.test(block) &&
             /(?:artisan|thieves|herbalism|musical instrument)/i.test(block)) {
-            return 'item';
+            return { type: 'item', confidence: 0.4 };
         }
         
         // Weapon indicators
         if (/(?:weapon|sword|axe|bow|crossbow)/i.test(block) &&
             /(?:damage|attack|range|properties)/i.test(block)) {
-            return 'item';
+            return { type: 'item', confidence: 0.4 };
         }
         
         // Armor indicators
         if (/(?:armor|shield|plate|mail)/i.test(block) &&
             /(?:ac|armor class)/i.test(block)) {
-            return 'item';
+            return { type: 'item', confidence: 0.4 };
         }
         
         // Check for item-like content
         if (/(?:wondrous item|armor|weapon|ring|rod|staff|wand|potion|scroll)/i.test(block) && 
             /(?:attunement|rarity|requires)/i.test(block)) {
-            return 'item';
+            return { type: 'item', confidence: 0.5 };
         }
         
         // Check for monster-like content
         if (/armor class|hit points|speed|str|dex|con|int|wis|cha/i.test(block) && 
             /(?:actions|legendary actions|lair actions)/i.test(block)) {
-            return 'monster';
+            return { type: 'monster', confidence: 0.5 };
         }
         
         // Check for background-like content
         if (/background/i.test(block) && 
             /(?:skill proficiencies|feature:|equipment|suggested characteristics)/i.test(block)) {
-            return 'background';
+            return { type: 'background', confidence: 0.5 };
         }
         
         // Unknown block type
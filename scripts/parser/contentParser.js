@@ -4,6 +4,8 @@
  */
 
 import { spbiUtils } from "../spbiUtils.js";
+import { itemBuilder } from "../data/itemBuilder.js";
+import { monsterParser } from "./monsterParser.js";
 
 export class contentParser {
     /**
@@ -52,6 +54,7 @@ export class contentParser {
             duration: this._extractKeyValuePair(lines, 'duration'),
             description: this._extractDescription(lines),
             ritual: this._checkForRitual(lines),
+            classes: this._extractSpellClasses(lines),
             source: this._extractSource(lines)
         };
         
@@ -76,7 +79,8 @@ export class contentParser {
             weight: this._extractWeight(lines),
             price: this._extractPrice(lines),
             properties: this._extractItemProperties(lines),
-            source: this._extractSource(lines)
+            source: this._extractSource(lines),
+            content: lines.slice(1).join("\n")
         };
         
         return data;
@@ -90,14 +94,12 @@ export class contentParser {
      */
     static _parseMonster(content) {
         // Use the dedicated monsterParser for more accurate parsing
-        const { monsterParser } = require('./monsterParser.js');
-        
         try {
             // Parse the monster statblock using the specialized parser
             const monsterData = monsterParser.parseMonster(content);
             return monsterData;
         } catch (error) {
-            spbiUtils.error("Error parsing monster statblock", error);
+            console.error("Error parsing monster statblock:", error);
             
             // Fallback to basic parsing if the specialized parser fails
             const lines = content.split(/\r?\n/).map(line => line.trim());
@@ -315,6 +317,30 @@ export class contentParser {
         return "";
     }
     
+    /**
+     * Extract the description, everything after the name and type lines that isn't a header field
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted description
+     * @private
+     */
+    static _extractDescription(lines) {
+        const headerPattern = /^(?:casting time|range|components|materials|duration|classes|source|weight|price|cost|prerequisites?|ability scores|skill proficiencies|tool proficienc(?:y|ies)|languages|equipment)\s*[:\t]/i;
+        
+        return lines.slice(2)
+            .filter(line => line.length > 0 && !headerPattern.test(line))
+            .join("\n");
+    }
+    
+    /**
+     * Extract the source book
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted source
+     * @private
+     */
+    static _extractSource(lines) {
+        return this._extractKeyValuePair(lines, 'source');
+    }
+    
     /**
      * Extract a key-value pair from content lines
      * @param {Array<string>} lines - Content lines
@@ -350,7 +376,7 @@ export class contentParser {
                 return 'cantrip';
             }
             
-            const levelMatch = levelLine.match(/(\d+)(?:st|nd|rd|th)?[\s-]?level/);
+            const levelMatch = levelLine.match(/(\d+)(?:st|nd|rd|th)?[\s-]?level/) ?? levelLine.match(/level\s+(\d+)/);
             if (levelMatch) {
                 return levelMatch[1];
             }
@@ -383,6 +409,132 @@ export class contentParser {
         return "";
     }
     
+    /**
+     * Extract the classes that can cast a spell
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted class list
+     * @private
+     */
+    static _extractSpellClasses(lines) {
+        // The 2024 layout lists the classes in the level line: "Level 3 Evocation (Sorcerer, Wizard)"
+        if (lines.length > 1) {
+            const classMatch = lines[1].match(/\((?!ritual\))([^)]+)\)/i);
+            if (classMatch) {
+                return classMatch[1].trim();
+            }
+        }
+        
+        return this._extractKeyValuePair(lines, 'classes');
+    }
+    
+    /**
+     * Extract the class of a class feature
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted class
+     * @private
+     */
+    static _extractClass(lines) {
+        if (lines.length > 1) {
+            const classes = ['artificer', 'barbarian', 'bard', 'cleric', 'druid', 'fighter', 'monk',
+                           'paladin', 'ranger', 'rogue', 'sorcerer', 'warlock', 'wizard'];
+            const classLine = lines[1].toLowerCase();
+            
+            for (const className of classes) {
+                if (classLine.includes(className)) {
+                    return className;
+                }
+            }
+        }
+        
+        return "";
+    }
+    
+    /**
+     * Extract the level a class feature is gained at
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted level
+     * @private
+     */
+    static _extractFeatureLevel(lines) {
+        if (lines.length > 1) {
+            const levelLine = lines[1].toLowerCase();
+            const levelMatch = levelLine.match(/(\d+)(?:st|nd|rd|th)?[\s-]?level/) ?? levelLine.match(/level\s+(\d+)/);
+            if (levelMatch) {
+                return levelMatch[1];
+            }
+        }
+        
+        return "";
+    }
+    
+    /**
+     * Extract feat prerequisites
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted prerequisites
+     * @private
+     */
+    static _extractPrerequisites(lines) {
+        // The 2024 layout puts them in the type line: "General Feat (Prerequisite: Level 4+)"
+        if (lines.length > 1) {
+            const inlineMatch = lines[1].match(/\(prerequisites?:\s*([^)]+)\)/i);
+            if (inlineMatch) {
+                return inlineMatch[1].trim();
+            }
+        }
+        
+        return this._extractKeyValuePair(lines, 'prerequisites?');
+    }
+    
+    /**
+     * Extract background skill proficiencies
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted skill proficiencies
+     * @private
+     */
+    static _extractSkillProficiencies(lines) {
+        return this._extractKeyValuePair(lines, 'skill proficiencies');
+    }
+    
+    /**
+     * Extract background tool proficiencies
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted tool proficiencies
+     * @private
+     */
+    static _extractToolProficiencies(lines) {
+        return this._extractKeyValuePair(lines, 'tool proficienc(?:y|ies)');
+    }
+    
+    /**
+     * Extract background languages
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted languages
+     * @private
+     */
+    static _extractBackgroundLanguages(lines) {
+        return this._extractKeyValuePair(lines, 'languages');
+    }
+    
+    /**
+     * Extract background equipment
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted equipment
+     * @private
+     */
+    static _extractBackgroundEquipment(lines) {
+        return this._extractKeyValuePair(lines, 'equipment');
+    }
+    
+    /**
+     * Extract the background feature, or the origin feat of a 2024 background
+     * @param {Array<string>} lines - Content lines
+     * @returns {string} - Extracted feature name
+     * @private
+     */
+    static _extractBackgroundFeature(lines) {
+        return this._extractKeyValuePair(lines, 'feature') || this._extractKeyValuePair(lines, 'feat');
+    }
+    
     /**
      * Extract spell components
      * @param {Array<string>} lines - Content lines
@@ -518,15 +670,15 @@ export class contentParser {
     /**
      * Extract item weight
      * @param {Array<string>} lines - Content lines
-     * @returns {number|null} - Extracted weight
+     * @returns {Object|null} - Extracted weight ({ value, units })
      * @private
      */
     static _extractWeight(lines) {
         // Look for weight in the content
         for (const line of lines) {
-            const weightMatch = line.match(/weight\s*[:\t]?\s*(\d+(?:\.\d+)?)\s*(?:lb|pound)/i);
-            if (weightMatch) {
-                return parseFloat(weightMatch[1]);
+            const weight = itemBuilder.parseWeight(line);
+            if (weight) {
+                return weight;
             }
         }
         
@@ -536,28 +688,15 @@ export class contentParser {
     /**
      * Extract item price
      * @param {Array<string>} lines - Content lines
-     * @returns {number|null} - Extracted price in gold pieces
+     * @returns {Object|null} - Extracted price ({ value, denomination })
      * @private
      */
     static _extractPrice(lines) {
         // Look for price in the content
         for (const line of lines) {
-            // Look for gold pieces
-            const gpMatch = line.match(/(?:price|cost|value)\s*[:\t]?\s*(\d+(?:\.\d+)?)\s*(?:gp|gold)/i);
-            if (gpMatch) {
-                return parseFloat(gpMatch[1]);
-            }
-            
-            // Look for silver pieces and convert to gold
-            const spMatch = line.match(/(?:price|cost|value)\s*[:\t]?\s*(\d+(?:\.\d+)?)\s*(?:sp|silver)/i);
-            if (spMatch) {
-                return parseFloat(spMatch[1]) / 10;
-            }
-            
-            // Look for copper pieces and convert to gold
-            const cpMatch = line.match(/(?:price|cost|value)\s*[:\t]?\s*(\d+(?:\.\d+)?)\s*(?:cp|copper)/i);
-            if (cpMatch) {
-                return parseFloat(cpMatch[1]) / 100;
+            const price = itemBuilder.parsePrice(line);
+            if (price) {
+                return price;
             }
         }
         
@@ -4,6 +4,7 @@
  */
 
 import { spbiUtils } from "../spbiUtils.js";
+import { activityBuilder } from "../data/activityBuilder.js";
 
 export class monsterParser {
     // Block types from 5e-statblock-importer
@@ -44,23 +45,28 @@ export class monsterParser {
     // Regular expressions for identifying different parts of a monster statblock
     static #regex = {
         // Basic monster information
-        racialDetails: /^(tiny|small|medium|large|huge|gargantuan)\s+(aberration|beast|celestial|construct|dragon|elemental|fey|fiend|giant|humanoid|monstrosity|ooze|plant|undead)(\s*\(([^\)]+)\))?\s*,\s*(lawful good|neutral good|chaotic good|lawful neutral|neutral|chaotic neutral|lawful evil|neutral evil|chaotic evil|unaligned|any alignment|any non-good alignment|any non-lawful alignment|any chaotic alignment)/i,
+        racialDetails: /^(tiny|small|medium|large|huge|gargantuan)(?:\s+or\s+(?:tiny|small|medium|large|huge|gargantuan))?\s+(aberration|beast|celestial|construct|dragon|elemental|fey|fiend|giant|humanoid|monstrosity|ooze|plant|undead)(\s*\(([^\)]+)\))?\s*,\s*(lawful good|neutral good|chaotic good|lawful neutral|neutral|chaotic neutral|lawful evil|neutral evil|chaotic evil|unaligned|any alignment|any non-good alignment|any non-lawful alignment|any chaotic alignment)/i,
         
         // Combat stats
-        armor: /^armor\s+class\s+(\d+)(?:\s+\(([^\)]+)\))?/i,
-        health: /^hit\s+points\s+(\d+)\s*\(([^\)]+)\)/i,
+        armor: /^(?:armor\s+class|AC)\s+(\d+)(?:\s+\(([^\)]+)\))?/i,
+        health: /^(?:hit\s+points|HP)\s+(\d+)\s*\(([^\)]+)\)/i,
         speed: /^speed\s+(.+)/i,
         
-        // Ability scores
-        abilities: /^(str|dex|con|int|wis|cha)\s+(\d+)\s*\(([-+]\d+)\)/i,
+        // Initiative has its own line or follows the AC in 2024 statblocks, "AC 17 Initiative +7 (17)"
+        initiative: /^initiative\s+[+-]\d+/i,
+        initiativeValue: /\binitiative\s+(?<bonus>[+-]\d+)(?:\s*\((?<score>\d+)\))?/i,
+        
+        // Ability scores, "STR 10 (+0)" or the 2024 Mod/Save table "Str 23 +6 +6 Dex 10 +0 +4"
+        abilities: /^(str|dex|con|int|wis|cha)\s+(\d+)\s*(?:\(([-+]\d+)\)|([-+]\d+)\s+([-+]\d+))/i,
+        abilityScores: /\b(?<ability>str|dex|con|int|wis|cha)\s+(?<score>\d+)\s*(?:\((?<mod>[-+]\d+)\)|(?<mod2>[-+]\d+)\s+(?<save>[-+]\d+))/gi,
         
         // Saving throws and skills
         savingThrows: /^saving\s+throws\s+(.+)/i,
         skills: /^skills\s+(.+)/i,
         
         // Damage and condition modifiers
-        damageVulnerabilities: /^damage\s+vulnerabilities\s+(.+)/i,
-        damageResistances: /^damage\s+resistances\s+(.+)/i,
+        damageVulnerabilities: /^(?:damage\s+)?vulnerabilities\s+(.+)/i,
+        damageResistances: /^(?:damage\s+)?resistances\s+(.+)/i,
         damageImmunities: /^damage\s+immunities\s+(.+)/i,
         conditionImmunities: /^condition\s+immunities\s+(.+)/i,
         immunities2024: /^immunities\s+(.+)/i,
@@ -68,11 +74,13 @@ export class monsterParser {
         // Senses and languages
         senses: /^senses\s+(.+)/i,
         languages: /^languages\s+(.+)/i,
+        gear: /^gear\s+(.+)/i,
         
-        // Challenge rating
-        challenge: /^challenge\s+(\d+\/\d+|\d+)\s*\(([^\)]+)\s*\)/i,
+        // Challenge rating, "Challenge 10 (5,900 XP)" or "CR 9 (XP 5,000; PB +4)"
+        challenge: /^(?:challenge|CR)\s+(\d+\/\d+|\d+)\s*\(([^\)]+)\s*\)/i,
         
         // Section headers
+        traits: /^traits$/i,
         actions: /^actions$/i,
         bonusActions: /^bonus\s+actions$/i,
         reactions: /^reactions$/i,
@@ -82,11 +90,24 @@ export class monsterParser {
         villainActions: /^villain\s+actions$/i,
         
         // Feature blocks
-        blockTitle: /^([A-Z][\w\s]+)\./,
+        blockTitle: /^([A-Z][\w\s]+(?:\([^)]*\))?)\./,
         otherBlock: /^([A-Z][\w\s]{0,30})\./,
         
+        // Legendary actions
+        legendaryIntro: /\bcan take (?<count>\d+|one|two|three|four|five) legendary actions|^legendary action uses:\s*(?<uses>\d+)/i,
+        actionCost: /\s*\(costs?\s+(?<cost>\d+|one|two|three)\s+actions?\)\s*$/i,
+        
+        // Spellcasting
+        spellcastingName: /^(?:innate\s+)?spellcasting\b/i,
+        spellcastingAbility: /spellcasting ability is (?<ability>intelligence|wisdom|charisma)|using (?<ability2>intelligence|wisdom|charisma) as (?:the|its) spellcasting ability/i,
+        spellcasterLevel: /(?<level>\d+)(?:st|nd|rd|th)[- ]level spellcaster/i,
+        spellListHeader: /(?:(?<cantrips>cantrips\s*\(at will\))|(?<atWill>at will)|(?<perDay>\d+)\s*\/\s*day(?:\s+each)?|(?<level>\d+)(?:st|nd|rd|th)\s+level\s*\((?<slots>\d+)\s+slots?\)|\d+(?:st|nd|rd|th)\s*[–—-]\s*(?<pactLevel>\d+)(?:st|nd|rd|th)\s+level\s*\((?<pactSlots>\d+)\s+\d+(?:st|nd|rd|th)[- ]level\s+slots?\))\s*:/gi,
+        
+        // Limited uses at the end of an entry name
+        usesSuffix: /\s*\((?:recharge\s+(?<recharge>\d)(?:\s*[–—-]\s*\d)?|recharges\s+after\s+a\s+(?<rest>short\s+or\s+long|short|long)\s+rest|(?<perDay>\d+)\s*\/\s*day(?:\s+each)?(?:,[^)]*)?)\)\s*$/i,
+        
         // Utility
-        removeNewLines: /(?<header>Hit Points|Armor Class|Speed|Saving Throws|Skills|Damage Vulnerabilities|Damage Resistances|Damage Immunities|Condition Immunities|Immunities|Senses|Languages|Challenge)\s*\n/g
+        removeNewLines: /(?<header>Hit Points|Armor Class|Speed|Saving Throws|Skills|Damage Vulnerabilities|Damage Resistances|Damage Immunities|Condition Immunities|Immunities|Resistances|Vulnerabilities|Senses|Languages|Gear|Challenge)\s*\n/g
     };
 
     /**
@@ -129,21 +150,25 @@ export class monsterParser {
             damageResistances: this._extractDamageResistances(blocks),
             damageImmunities: this._extractDamageImmunities(blocks),
             conditionImmunities: this._extractConditionImmunities(blocks),
+            initiative: this._extractInitiative(blocks),
             senses: this._extractSenses(blocks),
             languages: this._extractLanguages(blocks),
+            gear: this._extractGear(blocks),
             challenge: this._extractChallenge(blocks),
             features: this._extractFeatures(blocks),
             actions: this._extractActions(blocks),
             bonusActions: this._extractBonusActions(blocks),
             reactions: this._extractReactions(blocks),
             legendaryActions: this._extractLegendaryActions(blocks),
+            legendaryActionCount: this._extractLegendaryActionCount(blocks),
             lairActions: this._extractLairActions(blocks),
             mythicActions: this._extractMythicActions(blocks),
             villainActions: this._extractVillainActions(blocks),
+            spellcasting: this._extractSpellcasting(blocks),
             otherInfo: this._extractOtherInfo(blocks)
         };
         
-        spbiUtils.log("Monster parsing complete", monsterData);
+        spbiUtils.log(monsterData);
         return monsterData;
     }
     
@@ -160,6 +185,9 @@ export class monsterParser {
         // Fix newlines in specific sections
         cleaned = cleaned.replace(this.#regex.removeNewLines, "$<header> ");
         
+        // 2024 statblocks print negative modifiers with a minus sign
+        cleaned = cleaned.replace(/−/g, "-");
+        
         return cleaned;
     }
     
@@ -194,8 +222,8 @@ export class monsterParser {
                 blocks.set(currentBlockId, []);
             }
             
-            // Handle other blocks
-            if (!match && !foundAbilityLine && line.match(this.#regex.otherBlock)) {
+            // Handle other blocks, entries under a section header stay in that section
+            if (!match && !foundAbilityLine && !this._isEntryBlock(currentBlockId) && line.match(this.#regex.otherBlock)) {
                 foundTopBlock = false;
                 currentBlockId = this.Blocks.otherBlock.id;
                 if (!blocks.has(currentBlockId)) {
@@ -230,6 +258,26 @@ export class monsterParser {
         return blocks;
     }
     
+    /**
+     * Whether a block holds named entries ("Bite. Melee Weapon Attack...") rather than a single statblock line
+     * @param {string} blockId - The block ID
+     * @returns {boolean}
+     * @private
+     */
+    static _isEntryBlock(blockId) {
+        return [
+            this.Blocks.features.id,
+            this.Blocks.traits.id,
+            this.Blocks.actions.id,
+            this.Blocks.bonusActions.id,
+            this.Blocks.reactions.id,
+            this.Blocks.legendaryActions.id,
+            this.Blocks.lairActions.id,
+            this.Blocks.mythicActions.id,
+            this.Blocks.villainActions.id
+        ].includes(blockId);
+    }
+    
     /**
      * Get the first matching block type for a line
      * @param {string} line - The line to check
@@ -341,12 +389,10 @@ export class monsterParser {
         
         const abilityScores = {};
         
+        // A 2024 table line holds several abilities
         for (const ability of abilities) {
-            const match = ability.line.match(this.#regex.abilities);
-            if (match) {
-                const abilityType = match[1].toLowerCase();
-                const score = parseInt(match[2]);
-                abilityScores[abilityType] = score;
+            for (const match of ability.line.matchAll(this.#regex.abilityScores)) {
+                abilityScores[match.groups.ability.toLowerCase()] = parseInt(match.groups.score);
             }
         }
         
@@ -355,7 +401,7 @@ export class monsterParser {
     
     static _extractSavingThrows(blocks) {
         const savingThrows = blocks.get(this.Blocks.savingThrows.id);
-        if (!savingThrows || !savingThrows.length) return [];
+        if (!savingThrows || !savingThrows.length) return this._extractTableSavingThrows(blocks);
         
         const match = savingThrows[0].line.match(this.#regex.savingThrows);
         if (!match) return [];
@@ -378,6 +424,28 @@ export class monsterParser {
         return saves;
     }
     
+    /**
+     * Read the proficient saving throws from the 2024 Mod/Save table, where the save differs from the modifier
+     * @param {Object} blocks - The parsed blocks
+     * @returns {Array<Object>} - { ability, bonus } saving throws
+     * @private
+     */
+    static _extractTableSavingThrows(blocks) {
+        const abilities = blocks.get(this.Blocks.abilities.id);
+        if (!abilities || !abilities.length) return [];
+        
+        const saves = [];
+        for (const ability of abilities) {
+            for (const match of ability.line.matchAll(this.#regex.abilityScores)) {
+                if (match.groups.save && (match.groups.save !== match.groups.mod2)) {
+                    saves.push({ ability: match.groups.ability.toLowerCase(), bonus: parseInt(match.groups.save) });
+                }
+            }
+        }
+        
+        return saves;
+    }
+    
     static _extractSkills(blocks) {
         const skills = blocks.get(this.Blocks.skills.id);
         if (!skills || !skills.length) return [];
@@ -412,11 +480,20 @@ export class monsterParser {
     }
     
     static _extractDamageImmunities(blocks) {
-        return this._extractDamageCondition(blocks, this.Blocks.damageImmunities.id);
+        const immunities2024 = this._extractDamageCondition(blocks, this.Blocks.immunities2024.id);
+        return [
+            ...this._extractDamageCondition(blocks, this.Blocks.damageImmunities.id),
+            ...immunities2024.filter(immunity => activityBuilder.damageTypes.includes(immunity))
+        ];
     }
     
     static _extractConditionImmunities(blocks) {
-        return this._extractDamageCondition(blocks, this.Blocks.conditionImmunities.id);
+        // The 2024 "Immunities Fire, Poison; Charmed, Poisoned" line lists both
+        const immunities2024 = this._extractDamageCondition(blocks, this.Blocks.immunities2024.id);
+        return [
+            ...this._extractDamageCondition(blocks, this.Blocks.conditionImmunities.id),
+            ...immunities2024.filter(immunity => !activityBuilder.damageTypes.includes(immunity))
+        ];
     }
     
     static _extractDamageCondition(blocks, blockId) {
@@ -434,7 +511,7 @@ export class monsterParser {
         const match = blockData[0].line.match(regexMap[blockId]);
         if (!match) return [];
         
-        return match[1].split(",").map(item => item.trim().toLowerCase());
+        return match[1].split(/[,;]/).map(item => item.trim().toLowerCase()).filter(item => item.length);
     }
     
     static _extractSenses(blocks) {
@@ -447,10 +524,12 @@ export class monsterParser {
         const sensesText = match[1];
         const parsedSenses = [];
         
-        // Parse senses
-        const senseTypes = sensesText.split(",").map(s => s.trim());
+        // Parse senses, the 2024 layout puts passive Perception after a semicolon and dnd5e computes it anyway
+        const senseTypes = sensesText.split(/[,;]/).map(s => s.trim()).filter(s => s.length);
         
         for (const senseType of senseTypes) {
+            if (/^passive perception/i.test(senseType)) continue;
+            
             const typeMatch = senseType.match(/^([\w\s]+)\s+([\d]+)\s*(?:ft\.?|feet)?$/i);
             if (typeMatch) {
                 const type = typeMatch[1].trim().toLowerCase();
@@ -475,6 +554,36 @@ export class monsterParser {
         return match[1].split(",").map(lang => lang.trim());
     }
     
+    static _extractInitiative(blocks) {
+        const lines = [
+            ...(blocks.get(this.Blocks.initiative.id) ?? []),
+            ...(blocks.get(this.Blocks.armor.id) ?? [])
+        ];
+        
+        for (const { line } of lines) {
+            const match = line.match(this.#regex.initiativeValue);
+            if (match) return parseInt(match.groups.bonus);
+        }
+        
+        return null;
+    }
+    
+    static _extractGear(blocks) {
+        const gear = blocks.get(this.Blocks.gear.id);
+        if (!gear || !gear.length) return [];
+        
+        const match = gear[0].line.match(this.#regex.gear);
+        if (!match) return [];
+        
+        // "Arrows (20)" keeps its quantity
+        return match[1].split(",").map(item => item.trim()).filter(item => item.length).map(item => {
+            const quantity = item.match(/^(?<name>.+?)\s*\((?<quantity>\d+)\)$/);
+            return quantity
+                ? { name: quantity.groups.name, quantity: parseInt(quantity.groups.quantity) }
+                : { name: item, quantity: 1 };
+        });
+    }
+    
     static _extractChallenge(blocks) {
         const challenge = blocks.get(this.Blocks.challenge.id);
         if (!challenge || !challenge.length) return { cr: 0, xp: 0 };
@@ -501,7 +610,11 @@ export class monsterParser {
     }
     
     static _extractFeatures(blocks) {
-        return this._extractNamedEntries(blocks, this.Blocks.features.id);
+        // 2024 statblocks list features under a "Traits" header
+        return [
+            ...this._extractNamedEntries(blocks, this.Blocks.features.id),
+            ...this._extractNamedEntries(blocks, this.Blocks.traits.id)
+        ];
     }
     
     static _extractActions(blocks) {
@@ -517,7 +630,34 @@ export class monsterParser {
     }
     
     static _extractLegendaryActions(blocks) {
-        return this._extractNamedEntries(blocks, this.Blocks.legendaryActions.id);
+        // The intro paragraph reads like an entry, "The dragon can take 3 legendary actions, choosing from the options below."
+        return this._extractNamedEntries(blocks, this.Blocks.legendaryActions.id)
+            .filter(entry => !this.#regex.legendaryIntro.test(`${entry.name}. ${entry.description}`))
+            .map(entry => {
+                const cost = entry.name.match(this.#regex.actionCost);
+                if (!cost) return { ...entry, cost: 1 };
+                return { ...entry, name: entry.name.slice(0, cost.index).trim(), cost: spbiUtils.parseNumberWord(cost.groups.cost) };
+            });
+    }
+    
+    /**
+     * Read how many legendary actions a monster can take each round
+     * "can take 3 legendary actions" (2014) or "Legendary Action Uses: 3 (4 in Lair)" (2024)
+     * @param {Object} blocks - The parsed blocks
+     * @returns {number} - The number of legendary actions, 0 when the monster has none
+     * @private
+     */
+    static _extractLegendaryActionCount(blocks) {
+        const entries = blocks.get(this.Blocks.legendaryActions.id);
+        if (!entries || !entries.length) return 0;
+        
+        for (const entry of entries) {
+            const match = entry.line.match(this.#regex.legendaryIntro);
+            if (match) return spbiUtils.parseNumberWord(match.groups.count ?? match.groups.uses);
+        }
+        
+        // Monsters with legendary actions but no intro get the usual three
+        return this._extractLegendaryActions(blocks).length ? 3 : 0;
     }
     
     static _extractLairActions(blocks) {
@@ -539,8 +679,9 @@ export class monsterParser {
         const result = [];
         let currentEntry = null;
         
-        // Skip the header line
-        for (let i = 1; i < entries.length; i++) {
+        // Skip the header line, features start right after the top blocks without one
+        const start = blockId === this.Blocks.features.id ? 0 : 1;
+        for (let i = start; i < entries.length; i++) {
             const line = entries[i].line;
             const titleMatch = line.match(/^([^.]+)\.(.*)/i);
             
@@ -552,7 +693,7 @@ export class monsterParser {
                 
                 // Start a new entry
                 currentEntry = {
-                    name: titleMatch[1].trim(),
+                    ...this._extractUses(titleMatch[1].trim()),
                     description: titleMatch[2].trim()
                 };
             } else if (currentEntry) {
@@ -569,6 +710,101 @@ export class monsterParser {
         return result;
     }
     
+    /**
+     * Split the limited uses off an entry name
+     * "Fire Breath (Recharge 5–6)", "Teleport (3/Day)", "Frightful Presence (Recharges after a Short or Long Rest)"
+     * @param {string} name - The entry name as written in the statblock
+     * @returns {Object} - { name } plus { uses: { max, period, recharge } } when the name has a uses suffix
+     * @private
+     */
+    static _extractUses(name) {
+        const match = name.match(this.#regex.usesSuffix);
+        if (!match) return { name };
+        
+        let uses;
+        if (match.groups.recharge) {
+            uses = { max: 1, period: "recharge", recharge: parseInt(match.groups.recharge) };
+        } else if (match.groups.rest) {
+            // A short rest recovery also recovers on a long rest
+            uses = { max: 1, period: match.groups.rest.toLowerCase() === "long" ? "lr" : "sr" };
+        } else {
+            // "3/Day, or 4/Day in Lair" keeps the base count
+            uses = { max: parseInt(match.groups.perDay), period: "day" };
+        }
+        
+        return { name: name.slice(0, match.index).trim(), uses };
+    }
+    
+    /**
+     * Parse the Spellcasting or Innate Spellcasting trait, or the 2024 Spellcasting action
+     * @param {Object} blocks - The parsed blocks
+     * @returns {Object|null} - { ability, level, slots, spells } or null when the monster doesn't cast spells
+     * @private
+     */
+    static _extractSpellcasting(blocks) {
+        const entries = [...this._extractFeatures(blocks), ...this._extractActions(blocks)]
+            .filter(entry => this.#regex.spellcastingName.test(entry.name));
+        if (!entries.length) return null;
+        
+        const spellcasting = { ability: "", level: null, slots: {}, spells: [] };
+        
+        for (const entry of entries) {
+            const text = entry.description;
+            const ability = text.match(this.#regex.spellcastingAbility);
+            if (ability && !spellcasting.ability) {
+                spellcasting.ability = (ability.groups.ability ?? ability.groups.ability2).substring(0, 3).toLowerCase();
+            }
+            
+            const level = text.match(this.#regex.spellcasterLevel);
+            if (level) spellcasting.level = parseInt(level.groups.level);
+            
+            const innate = /^innate/i.test(entry.name);
+            const headers = [...text.matchAll(this.#regex.spellListHeader)];
+            headers.forEach((header, i) => {
+                const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+                const names = this._splitSpellList(text.slice(header.index + header[0].length, end));
+                const groups = header.groups;
+                
+                let spell;
+                if (groups.cantrips) {
+                    spell = { mode: "prepared", level: 0 };
+                } else if (groups.atWill) {
+                    spell = { mode: "atwill" };
+                } else if (groups.perDay) {
+                    spell = { mode: "innate", uses: { max: parseInt(groups.perDay), period: "day" } };
+                } else if (groups.level) {
+                    spellcasting.slots[`spell${groups.level}`] = parseInt(groups.slots);
+                    spell = { mode: innate ? "innate" : "prepared", level: parseInt(groups.level) };
+                } else {
+                    spellcasting.slots.pact = parseInt(groups.pactSlots);
+                    spell = { mode: "pact" };
+                }
+                
+                for (const name of names) {
+                    spellcasting.spells.push({ name, level: null, uses: null, ...spell });
+                }
+            });
+        }
+        
+        return spellcasting;
+    }
+    
+    /**
+     * Split a spell list into spell names
+     * "detect magic, fireball (level 5 version), mage armor*. The lich..." => ["detect magic", "fireball", "mage armor"]
+     * @param {string} list - The spell list following its header
+     * @returns {Array<string>}
+     * @private
+     */
+    static _splitSpellList(list) {
+        return list
+            .replace(/\([^)]*\)/g, "")
+            .split(".")[0]
+            .split(",")
+            .map(name => name.replace(/[*†]/g, "").trim())
+            .filter(name => name.length);
+    }
+    
     static _extractOtherInfo(blocks) {
         const otherInfo = blocks.get(this.Blocks.otherBlock.id);
         if (!otherInfo || !otherInfo.length) return [];
@@ -1,27 +1,39 @@
 import {
     spbiUtils
 } from "./spbiUtils.js";
+import {
+    activityBuilder
+} from "./data/activityBuilder.js";
+import {
+    schemaMapper
+} from "./data/schemaMapper.js";
+import {
+    spellListManager
+} from "./data/spellListManager.js";
+import {
+    itemBuilder
+} from "./data/itemBuilder.js";
+import {
+    effectBuilder
+} from "./data/effectBuilder.js";
 
 
 export class spbiParser {
+    static SCROLL_SETTING = "createSpellScrolls";
+
     static #spellLevelSchool = /^((?<level>\d+)?(nd|rd|st|th)?[-\t ]?(level|cantrip)?[ ]?)?(?<school>abjuration|conjuration|enchantment|divination|illusion|transmutation|necromancy|evocation)[ ]?(?<spelltype>spell|cantrip)?(\((?<ritual>ritual)\))?/i
-    static #castingTime = /(casting time)[:\s]*((?<amount>\d*)\s+(?<act>bonus action|action|minutes|minute|reaction))/i
+    static #spellLevelSchool2024 = /^(level[ \t]+(?<level>\d+)[ \t]+)?(?<school>abjuration|conjuration|enchantment|divination|illusion|transmutation|necromancy|evocation)([ \t]+(?<spelltype>cantrip))?[ \t]*(\((?<classes>(?!ritual\))[^)\n]*)\))?/i
+    static #higherLevelHeading = /(At Higher Levels|Using a Higher-Level Spell Slot|Cantrip Upgrade)\./i
+    static #castingTime = /(casting time)[:\s]*(?<time>[^\n]*)/i
     static #duration = /(duration)[:\s]*(?<conc>concentration, up to|Concentration,)?\s?((?<amount>\d*)?\s?(?<time>permanent|until dispelled or triggered|until dispelled|special|hours|minutes|rounds|months|turns|years|round|minute|hour|month|turn|year|instantaneous))/i
     static #comps = /(components)[:\s]*(?<vocal>v)?[\t ,]*(?<somatic>s)?[\t ,]*(?<material>m)?[\t ,]*(\((?<materials_inline>.*)\))?/i
     static #materials = /(materials)[:\s]*((?<materials>.*))?/i
     static #classes = /(classes|Available for)[:\s]*((?<classes>.*))?/i
     static #source = /source:[ \t-]*(?<source>.*)/i
-    static #range = /(range:)[\s]*(?<amount>\d+)?[\s,]*(?<units>self|feet|ft\.|ft|touch|mile|special, see below|Sight|special|varies)?[\s,]*(\(((?<area_amount>\d+)[\s,-]*(?<area_units>foot|ft\.|ft|mile)?[\s,]*(?<area_shape>radius|line)?)\))?/i
+    static #range = /(range:)[\s]*(?<amount>\d+)?[\s,]*(?<units>self|feet|ft\.|ft|touch|mile|special, see below|Sight|special|varies)?[\s,]*(\((?<area>[^)]*)\))?/i
     static #text = /(\.\s?)/ig
-    static #item = /^(?<type>ammunition|bomb|oil|poison|adventuring gear|wondrous item|potion|weapon|armor|ring|staff|wand)?[ ]?(\((?<subtype>firearm|longsword|tattoo|shield|[^)]*)\))?[, ]*(?<rarity>very rare|rare|uncommon|legendary|artifact)?[ ]?(\((?<attunement>requires attunement by a|requires attunement)[ ]?(?<attuning_class>.*)?\))?/i
+    static #item = /^(?<type>ammunition|bomb|oil|poison|adventuring gear|wondrous item|container|potion|weapon|armor|ring|staff|wand)?[ ]?(\((?<subtype>firearm|longsword|tattoo|shield|[^)]*)\))?[, ]*(?<rarity>very rare|rare|uncommon|legendary|artifact)?[ ]?(\((?<attunement>requires attunement by a|requires attunement)[ ]?(?<attuning_class>.*)?\))?/i
 
-    static activationMap = {
-        "action": "action",
-        "minutes": "minute",
-        "minute": "minute",
-        "bonus action": "bonus",
-        "reaction": "reaction"
-    };
     static schoolMap = {
         "abjuration": "abj",
         "conjuration": "con",
@@ -70,16 +82,29 @@ export class spbiParser {
         "touch": "touch"
     };
     static targetAreaMap = {
+        "circle": "radius",
         "cone": "cone",
+        "cube": "cube",
         "cylinder": "cylinder",
         "line": "line",
         "radius": "radius",
-        "sphere": "sphere"
+        "sphere": "sphere",
+        "square": "square",
+        "wall": "wall"
     }
 
     static itemMap = {
-        "armor": { type: "equipment", img: "", subtype: { "plate": "heavy", "shield": "shield" }, subtypekey: "armor" },
+        "armor": {
+            type: "equipment", img: "", subtypekey: "armor",
+            subtype: {
+                "light": "light", "padded": "light", "leather": "light", "studded leather": "light",
+                "medium": "medium", "hide": "medium", "chain shirt": "medium", "scale mail": "medium", "breastplate": "medium", "half plate": "medium",
+                "heavy": "heavy", "ring mail": "heavy", "chain mail": "heavy", "splint": "heavy", "plate": "heavy",
+                "shield": "shield"
+            }
+        },
         "weapon": { type: "weapon", img: "", subtype: { "longsword": "heavy", "shield": "shield" }, subtypekey: "weaponType" },
+        "staff": { type: "weapon", img: "", subtype: "simpleM", subtypekey: "weaponType" },
         "poison": { type: "consumable", img: "", subtype: "poison", subtypekey: "consumableType" },
         "ammunition": { type: "consumable", img: "", subtype: "ammo", subtypekey: "consumableType" },
         "potion": { type: "consumable", img: "", subtype: "potion", subtypekey: "consumableType" },
@@ -88,9 +113,25 @@ export class spbiParser {
         "food": { type: "consumable", img: "", subtype: "food", subtypekey: "consumableType" },
         "wand": { type: "consumable", img: "", subtype: "wand", subtypekey: "consumableType" },
         "ring": { type: "equipment", img: "", subtype: { baseItem: "", identifier: undefined, label: "Ring", value: "ring" }, subtypekey: "type" },
-        "wondrous item": { type: "consumable", img: "", subtype: "trinket", subtypekey: "consumableType" }
+        "wondrous item": { type: "consumable", img: "", subtype: "trinket", subtypekey: "consumableType" },
+        "adventuring gear": { type: "loot", img: "", subtype: "gear", subtypekey: "" },
+        "container": { type: "container", img: "", subtype: "", subtypekey: "" }
     };
 
+    /**
+     * Register the settings used by the parser
+     */
+    static registerSettings() {
+        game.settings.register("5e-items-importer", this.SCROLL_SETTING, {
+            name: "5e-items-importer.settings.createSpellScrolls.name",
+            hint: "5e-items-importer.settings.createSpellScrolls.hint",
+            scope: "client",
+            config: true,
+            type: Boolean,
+            default: false
+        });
+    }
+
     static async parseInput(content, selectedFolderId, selectedType) {
         spbiUtils.log(content);
         spbiUtils.log(selectedFolderId);
@@ -139,8 +180,21 @@ export class spbiParser {
         const parsedItem = this.#item.exec(rest);
         console.log(parsedItem)
         if (parsedItem) {
-            var workingtype = parsedItem.groups.type.toLowerCase();
+            // weapon and armor statblocks start with their category: "Martial Melee Weapon", "Medium Armor"
+            var workingtype = parsedItem.groups.type?.toLowerCase();
+            if (!workingtype && /\b(?:simple|martial)\s+(?:melee|ranged)\s+weapon\b/i.test(rest)) workingtype = "weapon";
+            if (!workingtype && /^(?:light|medium|heavy)\s+armor\b|^shield\b/i.test(rest)) workingtype = "armor";
+            // bags, packs and quivers say what they can hold
+            if ((!workingtype || ["wondrous item", "adventuring gear", "container"].includes(workingtype))
+                && foundry.utils.isNewerVersion(game.system.version, '3.3.1') && itemBuilder.isContainer(itemName, rest)) {
+                workingtype = "container";
+            }
             var workingMap = this.itemMap[workingtype];
+            if (!workingMap) {
+                // untyped and unknown item types are imported like wondrous items
+                spbiUtils.log(`no item mapping for ${workingtype}, importing as a wondrous item`);
+                workingMap = this.itemMap["wondrous item"];
+            }
             console.log(workingtype)
             console.log(workingMap);
             var itemObi = {
@@ -160,8 +214,22 @@ export class spbiParser {
             switch (workingMap.type) {
                 case "consumable":
                     console.log("is a consumable")
-                    itemObi.system[workingMap.subtypekey] = workingMap.subtype;
+                    if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                        // "Poison (injury)" names the poison's subtype
+                        const poisonType = (workingtype === "poison") && /^(contact|ingested|inhaled|injury)$/i.test(parsedItem.groups.subtype ?? "")
+                            ? parsedItem.groups.subtype.toLowerCase() : "";
+                        itemObi.system.type = { value: workingMap.subtype, subtype: poisonType };
+                    } else {
+                        itemObi.system[workingMap.subtypekey] = workingMap.subtype;
+                    }
                     break;
+                case "container": {
+                    spbiUtils.log("is a container");
+                    const containerData = itemBuilder.parseContainer(rest) ?? {};
+                    if (itemObi.system.rarity) containerData.properties = [...(containerData.properties ?? []), "mgc"];
+                    foundry.utils.mergeObject(itemObi.system, containerData);
+                    break;
+                }
                 case "equipment":
                 case "weapon":
                     console.log("is a equipment/weapon")
@@ -172,13 +240,13 @@ export class spbiParser {
                         console.log(pack);
                         let index = await pack.getIndex();
                         console.log(index);
-                        let entry = index.find(e => e.name.toLowerCase() === parsedItem.groups.subtype)
+                        let entry = index.find(e => e.name.toLowerCase() === parsedItem.groups.subtype.toLowerCase())
                         console.log(entry);
                         if (entry) {
                             let entity = await pack.getDocument(entry._id);
                             console.log(entity);
                             console.log(entity.system);
-                            itemObi.system = JSON.parse(JSON.stringify(entity.system));
+                            itemObi.system = entity.toObject().system;
                             itemObi.system.rarity = parsedItem.groups.rarity ? (parsedItem.groups.rarity == "very rare" ? "veryRare" : parsedItem.groups.rarity) : "";
                             itemObi.system.attunement = parsedItem.groups.attunement ? true : false;
                             itemObi.img = entity.img;
@@ -187,7 +255,7 @@ export class spbiParser {
                             if (workingMap.subtypekey == "armor") {
                                 var armorObj = {
                                     value: null,
-                                    type: workingMap.subtype[parsedItem.groups.subtype] ? workingMap.subtype[parsedItem.groups.subtype] : "",
+                                    type: workingMap.subtype[parsedItem.groups.subtype?.toLowerCase()] ?? "",
                                     dex: null
                                 }
                                 itemObi.system[workingMap.subtypekey] = armorObj
@@ -200,7 +268,7 @@ export class spbiParser {
                         if (workingMap.subtypekey == "armor") {
                             var armorObj = {
                                 value: null,
-                                type: workingMap.subtype[parsedItem.groups.subtype] ? workingMap.subtype[parsedItem.groups.subtype] : "",
+                                type: workingMap.subtype[parsedItem.groups.subtype?.toLowerCase()] ?? "",
                                 dex: null
                             }
                             itemObi.system[workingMap.subtypekey] = armorObj
@@ -211,9 +279,101 @@ export class spbiParser {
 
                     break;
 
+                case "loot":
+                    if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                        itemObi.system.type = itemBuilder.parseLootType(workingtype);
+                    }
+                    break;
                 default:
                     break;
             }
+            // dnd5e 4.x weapons keep damage, properties, range and mastery in the weapon data model
+            if ((workingMap.type === "weapon") && foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    delete itemObi.system.weaponType;
+                    const weaponData = workingtype === "staff"
+                        ? itemBuilder.parseStaff(rest)
+                        : itemBuilder.parseWeapon(rest, { baseItem: parsedItem.groups.subtype });
+                    const properties = new Set([...(itemObi.system.properties ?? []), ...(weaponData.properties ?? [])]);
+                    if (itemObi.system.rarity) properties.add("mgc");
+                    foundry.utils.mergeObject(itemObi.system, weaponData);
+                    itemObi.system.properties = Array.from(properties);
+                    if (foundry.utils.isEmpty(itemObi.system.activities ?? {}) && ((workingtype !== "staff") || weaponData.damage?.base)) {
+                        itemObi.system.activities = itemBuilder.buildWeaponActivities(itemObi.system);
+                    }
+                } catch (error) {
+                    console.error('Error in parseWeapon:', error);
+                    ui.notifications.error(`error in parsing weapon`);
+                }
+            }
+            // dnd5e 4.x armor keeps its category in system.type and the dex cap, strength and stealth beside the AC
+            if ((workingtype === "armor") && foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    const armorData = itemBuilder.parseArmor(rest, { baseItem: parsedItem.groups.subtype });
+                    const category = itemObi.system.armor?.type;
+                    delete itemObi.system.armor?.type;
+                    if (category && !armorData.type?.value) armorData.type = { ...armorData.type, value: category };
+                    const properties = new Set([...(itemObi.system.properties ?? []), ...(armorData.properties ?? [])]);
+                    if (itemObi.system.rarity) properties.add("mgc");
+                    foundry.utils.mergeObject(itemObi.system, armorData);
+                    itemObi.system.properties = Array.from(properties);
+                } catch (error) {
+                    console.error('Error in parseArmor:', error);
+                    ui.notifications.error(`error in parsing armor`);
+                }
+            }
+            // dnd5e 4.x tracks charges as item uses, spent by the activities that expend them
+            if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    const uses = itemBuilder.parseUses(rest);
+                    if (uses) {
+                        itemObi.system.uses = uses;
+                        const activities = activityBuilder.buildChargeActivities(rest);
+                        itemObi.system.activities = {
+                            ...(itemObi.system.activities ?? {}),
+                            ...activityBuilder.toCollection(activities)
+                        };
+                    }
+                } catch (error) {
+                    console.error('Error in parseUses:', error);
+                    ui.notifications.error(`error in parsing item charges`);
+                }
+            }
+            // dnd5e 4.x links the spells an item casts through cast activities
+            if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    await this.addCastActivities(itemObi, rest);
+                } catch (error) {
+                    console.error('Error in buildCastActivities:', error);
+                    ui.notifications.error(`error in linking item spells`);
+                }
+            }
+            // dnd5e 4.x potions and poisons heal or hurt through activities that use the item up
+            if ((workingMap.type === "consumable") && foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    itemBuilder.addConsumableActivities(itemObi, rest);
+                } catch (error) {
+                    console.error('Error in buildConsumableActivities:', error);
+                    ui.notifications.error(`error in building consumable activities`);
+                }
+            }
+            // dnd5e 4.x prices and weights carry their denomination and units
+            if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                const price = itemBuilder.parsePrice(rest);
+                const weight = itemBuilder.parseWeight(rest);
+                if (price) itemObi.system.price = price;
+                if (weight) itemObi.system.weight = weight;
+            }
+            // dnd5e 4.x gets the magical bonus on the item and everything else it grants as a transfer effect
+            if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                try {
+                    effectBuilder.applyItemEffects(itemObi, rest);
+                } catch (error) {
+                    console.error('Error in applyItemEffects:', error);
+                    ui.notifications.error(`error in parsing item effects`);
+                }
+            }
+            var itemText = rest;
             var itemSubst = parsedItem.groups.attuning_class ? parsedItem.groups.attunement + " " + parsedItem.groups.attuning_class : "";
             rest = rest.replace(this.#item, itemSubst);
 
@@ -221,10 +381,114 @@ export class spbiParser {
             rest = rest.replace(this.#text, ".<br/>");
             itemObi.system.description.value = rest;
             console.log(itemObi)
-            const newItem = await Item.create(itemObi);
-            newItem.sheet.render(true);
+            const baseItems = await this.resolveBaseItems(itemObi, parsedItem.groups.subtype);
+            const variants = await this.resolveVariants(baseItems, itemText, { header: itemName });
+            const newItems = await Item.create(variants);
+            newItems[0].sheet.render(true);
+
+        }
+    }
 
+    /**
+     * Add cast activities for the spells an item casts, replacing the plain charge activities of those spells
+     * @param {Object} itemData - The item data, updated in place
+     * @param {string} text - The item description
+     * @returns {Promise<Object>} - The item data
+     */
+    static async addCastActivities(itemData, text) {
+        const casts = await activityBuilder.buildCastActivities(text);
+        if (!casts.length) return itemData;
+
+        const spells = casts.map(activity => `cast ${activity.name}`.toLowerCase());
+        const replaced = name => spells.includes(name) || name.startsWith("cast one of the following");
+        const activities = Object.values(itemData.system.activities ?? {})
+            .filter(activity => (activity.type !== "utility") || !replaced(activity.name?.toLowerCase() ?? ""));
+        itemData.system.activities = activityBuilder.toCollection([...activities, ...casts]);
+        return itemData;
+    }
+
+    /**
+     * Resolve a generic base item ("Weapon (any sword)", "Armor (medium or heavy, but not hide)")
+     * against the base items of the dnd5e.items compendium, letting the user pick one or create all of them
+     * @param {Object} itemData - The parsed item data
+     * @param {string} subtype - The parenthesised subtype of the type line
+     * @returns {Promise<Array<Object>>} - The item data to create, the parsed item itself when nothing matches
+     */
+    static async resolveBaseItems(itemData, subtype) {
+        const constraint = itemBuilder.parseBaseItemConstraint(subtype, {
+            type: itemData.type,
+            consumableType: itemData.system?.type?.value
+        });
+        if (!constraint) return [itemData];
+
+        const pack = game.packs.get("dnd5e.items");
+        const ids = {
+            weapon: CONFIG.DND5E.weaponIds,
+            armor: { ...CONFIG.DND5E.armorIds, ...CONFIG.DND5E.shieldIds },
+            ammo: CONFIG.DND5E.ammoIds
+        }[constraint.kind];
+        const baseItems = [];
+        for (const [key, id] of Object.entries(ids)) {
+            const entity = id.includes(".") ? await fromUuid(id) : await pack?.getDocument(id);
+            if (entity && itemBuilder.matchesBaseItem(constraint, key, entity.system)) {
+                baseItems.push({ key: key, name: entity.name, img: entity.img, system: entity.toObject().system });
+            }
         }
+        spbiUtils.log(`${baseItems.length} base items match ${subtype}`);
+        if (!baseItems.length) return [itemData];
+        if (baseItems.length === 1) return [itemBuilder.applyBaseItem(itemData, baseItems[0])];
+
+        const options = baseItems.map(b => `<option value="${b.key}">${b.name}</option>`).join("");
+        const chosen = await new Promise(resolve => {
+            new Dialog({
+                title: game.i18n.localize('5e-items-importer.baseItemTitle'),
+                content: `<p>${spbiUtils.format(game.i18n.localize('5e-items-importer.baseItemContent'), itemData.name, subtype)}</p>
+                    <div class="form-group"><select name="base-item">${options}</select></div>`,
+                buttons: {
+                    one: {
+                        icon: '<i class="fas fa-check"></i>',
+                        label: game.i18n.localize('5e-items-importer.baseItemOne'),
+                        callback: html => resolve(baseItems.filter(b => b.key === html.find('[name="base-item"]').val()))
+                    },
+                    all: {
+                        icon: '<i class="fas fa-list"></i>',
+                        label: spbiUtils.format(game.i18n.localize('5e-items-importer.baseItemAll'), baseItems.length),
+                        callback: () => resolve(baseItems)
+                    }
+                },
+                default: "one",
+                close: () => resolve([])
+            }).render(true);
+        });
+        if (!chosen.length) return [itemData];
+        return chosen.map(baseItem => itemBuilder.applyBaseItem(itemData, baseItem));
+    }
+
+    /**
+     * Offer to create every variant of an item family ("Weapon, +1, +2, or +3", "Armor of Resistance")
+     * Declining creates only the first variant
+     * @param {Array<Object>} items - The item data of the family, one per base item
+     * @param {string} text - The item block without its name
+     * @param {Object} options
+     * @param {string} options.header - The item name as written in the source
+     * @returns {Promise<Array<Object>>} - The item data to create
+     */
+    static async resolveVariants(items, text, { header } = {}) {
+        const families = items.map(itemData => ({
+            itemData: itemData,
+            variants: itemBuilder.detectVariants(itemData.name, text, { type: itemData.type, header: header ?? itemData.name })
+        }));
+        const first = families[0].variants;
+        if (first.length < 2) return items;
+
+        const createAll = await Dialog.confirm({
+            title: game.i18n.localize('5e-items-importer.variantsTitle'),
+            content: `<p>${spbiUtils.format(game.i18n.localize('5e-items-importer.variantsContent'),
+                items[0].name, first.length, first.map(v => v.name).join(", "))}</p>`,
+            defaultYes: true
+        });
+        return families.flatMap(({ itemData, variants }) => (createAll ? variants : variants.slice(0, 1))
+            .map(variant => itemBuilder.applyVariant(itemData, variant)));
     }
 
     static async parseSpell(cleaned, selectedFolderId) {
@@ -232,6 +496,7 @@ export class spbiParser {
         var spellName = lines.shift(); // read and remove first line
         var rest = lines.join("\n");
         var properties = new Set();
+        var spellLists = [];
         var spellObj = null;
         if (foundry.utils.isNewerVersion(game.system.version, '2.4.1')) {
 
@@ -274,7 +539,7 @@ export class spbiParser {
             };
         }
         try {
-            rest = await this.mapLevelSchool(rest, spellObj);
+            rest = await this.mapLevelSchool(rest, spellObj, spellLists);
         } catch (error) {
             console.error('Error in mapLevelSchool:', error);
             ui.notifications.error(`error in parsing level or school`);
@@ -317,108 +582,97 @@ export class spbiParser {
         console.log('executed source')
         // analyze classes as last
         const classes = this.#classes.exec(rest);
-        var the_classes = [];
         console.log(classes);
         if (classes) {
             spbiUtils.log(classes.groups.classes);
-            the_classes = classes.groups.classes.split(",").map((a_class) => a_class.trim());
+            for (const entry of spellListManager.parseEntries(classes.groups.classes)) {
+                if (!spellLists.some(e => e.type === entry.type && e.identifier === entry.identifier)) spellLists.push(entry);
+            }
         }
         rest = rest.replace(this.#classes, "");
         console.log(rest);
 
+        // dnd5e 4.x rolls everything through activities instead of actionType/damage/save
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+            try {
+                spellObj.system.activities = activityBuilder.buildSpellActivities(rest, {
+                    level: parseInt(spellObj.system.level) || 0,
+                    target: spellObj.system.target
+                });
+            } catch (error) {
+                console.error('Error in buildSpellActivities:', error);
+                ui.notifications.error(`error in building spell activities`);
+            }
+        }
+
         rest = rest.replace(this.#text, ".<br/>");
+        rest = rest.replace(this.#higherLevelHeading, "<strong><em>$1.</em></strong>");
         spellObj.system.description.value = rest;
         console.log(spellObj);
 
         const spell = await Item.create(spellObj);
         spbiUtils.log(spell);
-        if ((the_classes.length > 0) && (foundry.utils.isNewerVersion(game.system.version, '2.4.1'))) {
-
-            var spell_journal = game.journal.getName('imported-spells');
-            console.log(spell_journal);
-            console.log(the_classes);
-            if (!spell_journal) {
-                console.log("Creating journal");
-                spell_journal = await JournalEntry.create({
-                    name: 'imported-spells',
-                });
-                console.log(spell_journal);
-                console.log(the_classes);
-                var spells = new Set();
-                spells.add(spell.uuid);
-                console.log(spells);
-                for (const theclass of the_classes) {
-                    console.log(theclass);
-                    var data = [{
-                        name: theclass,
-                        type: 'spells',
-                        system: {
-                            identifier: theclass,
-                            grouping: "level",
-                            type: "class",
-                            spells: { 0: spell.uuid },
-                        }
-                    }];
-                    var the_page = await spell_journal.createEmbeddedDocuments('JournalEntryPage', data);
-                    //the_page.system.spells = new Set();
-                    //the_page.system.spells.add(spell.uuid);
-                }
-            } else {
-                // journal exists
-                console.log('journal exists')
-                for (const theclass of the_classes) {
-                    console.log(theclass);
-
-                    var pagelist = spell_journal.getEmbeddedCollection('pages').getName(theclass);
-                    console.log(pagelist);
-                    if (!pagelist) {
-                        console.log('page for current class does not exists')
-                        var data = [{
-                            name: theclass,
-                            type: 'spells',
-                            system: {
-                                identifier: theclass,
-                                grouping: "level",
-                                type: "class",
-                                spells: { 0: spell.uuid },
-                            }
-                        }];
-                        var the_page = await spell_journal.createEmbeddedDocuments('JournalEntryPage', data);
-                    } else {
-                        console.log('page exists so I add it')
-                        //pagelist.system.spells.add(spell.uuid);
-                        console.log(pagelist);
-                        var arr = Array.from(pagelist.system.spells.values());
-                        console.log(arr);
-                        arr.push(spell.uuid)
-                        console.log(arr);
-
-                        var change = { system: { spells: arr } }
-                        console.log(change)
-                        pagelist.update(change)
-                        //spell_journal.getEmbeddedCollection('pages').update(pagelist.toJSON());
-                    }
-                }
+        if ((spellLists.length > 0) && (foundry.utils.isNewerVersion(game.system.version, '2.4.1'))) {
+            try {
+                await spellListManager.addSpell(spell, spellLists);
+            } catch (error) {
+                console.error('Error in addSpell:', error);
+                ui.notifications.error(`error in updating spell lists`);
+            }
+        }
+        if (game.settings.get("5e-items-importer", this.SCROLL_SETTING) && (foundry.utils.isNewerVersion(game.system.version, '3.3.1'))) {
+            try {
+                await this.createSpellScroll(spell, selectedFolderId);
+            } catch (error) {
+                console.error('Error in createSpellScroll:', error);
+                ui.notifications.error(`error in creating spell scroll`);
             }
         }
         // Open the sheet.
         spell.sheet.render(true);
     }
 
+    /**
+     * Create the "Spell Scroll (X)" consumable of an imported spell
+     * The dnd5e scroll routine picks the rarity, save DC and attack bonus for the spell's level
+     * @param {Item} spell - The created spell
+     * @param {string} selectedFolderId - The folder id to create the scroll in
+     * @returns {Promise<Item|null>} - The created scroll
+     */
+    static async createSpellScroll(spell, selectedFolderId) {
+        const scroll = await CONFIG.Item.documentClass.createScrollFromSpell(spell, {
+            name: `${game.i18n.localize("DND5E.SpellScroll")} (${spell.name})`,
+            folder: selectedFolderId || null
+        }, { dialog: false });
+        if (!scroll) return null;
+        return Item.create(scroll.toObject());
+    }
+
     /**
      * Parses the spell level and school from the input string, and assigns them to the spell data object.
      * 
      * @param {string} rest - The input string after extracting the spell name
      * @param {Object} spellObj - The spell data object to populate 
+     * @param {Array<Object>} spellLists - Collects the spell list entries of a 2024 header
      * 
      * Uses a regex to match the level, school, and ritual tags. 
+     * The 2024 layout ("Level 3 Evocation (Sorcerer, Wizard)") is tried first, as it carries the class list.
      * Assigns the level and school values to the spellObj.
      * Handles cantrips by setting level 0.
      * Returns the input string with the matched text removed.
     */
-    static async mapLevelSchool(rest, spellObj) {
+    static async mapLevelSchool(rest, spellObj, spellLists = []) {
         //var levelString = lines.shift();
         console.log(rest)
+        const header2024 = this.#spellLevelSchool2024.exec(rest);
+        if (header2024 && (header2024.groups.level || header2024.groups.classes)) {
+            spbiUtils.log(header2024.groups.level);
+            spellObj.system.level = header2024.groups.level > 0 ? header2024.groups.level : 0
+            spellObj.system.school = this.schoolMap[header2024.groups.school.toLowerCase()]
+            spbiUtils.log(header2024.groups.classes);
+            spellLists.push(...spellListManager.parseEntries(header2024.groups.classes));
+            return rest.replace(this.#spellLevelSchool2024, "");
+        }
         const spellLevelSchool = this.#spellLevelSchool.exec(rest);
         console.log(spellLevelSchool);
         if (spellLevelSchool) {
@@ -439,20 +693,42 @@ export class spbiParser {
         return rest.replace(this.#spellLevelSchool, "");
     }
 
+    /**
+     * Parses the casting time into the activation, including long casts, reaction triggers and rituals
+     * 
+     * @param {string} rest - The input string
+     * @param {Object} spellObj - The spell data object to populate
+     * 
+     * A reaction trigger ("which you take when ...") is stored as the activation condition.
+     * "Action or Ritual" flags the spell as a ritual, ritual only spells also get the ritual preparation mode.
+     * Returns the input string with the matched text removed.
+    */
     static async castingTime(rest, spellObj) {
         console.log(rest)
         const castTime = this.#castingTime.exec(rest);
         console.log(castTime);
-        var activation = {
-            condition: "",
-            cost: 0,
-            type: ""
-        };
         if (castTime) {
-            spbiUtils.log(castTime.groups.amount);
-            activation.cost = castTime.groups.amount
-            activation.type = this.activationMap[castTime.groups.act.toLowerCase()];
-            spellObj.system.activation = activation
+            spbiUtils.log(castTime.groups.time);
+            const mapped = schemaMapper.mapCastingTime(castTime.groups.time);
+            if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+                spellObj.system.activation = mapped.activation;
+                if (mapped.ritualOnly) {
+                    spellObj.system.preparation = { mode: "ritual", prepared: false };
+                }
+            } else {
+                spellObj.system.activation = {
+                    condition: mapped.activation.condition,
+                    cost: mapped.activation.value,
+                    type: mapped.activation.type
+                };
+            }
+            if (mapped.ritual) {
+                if (foundry.utils.isNewerVersion(game.system.version, '2.4.1')) {
+                    spellObj.system.properties.add("ritual")
+                } else {
+                    spellObj.system.components.ritual = true;
+                }
+            }
         }
         return rest.replace(this.#castingTime, "");
     }
@@ -510,15 +786,14 @@ export class spbiParser {
                 }
                 console.log('checked svm')
                 if (compReg.groups.materials_inline) {
-
-                    spellObj.system.materials.value = compReg.groups.materials_inline
+                    spellObj.system.materials = schemaMapper.mapSpellMaterials(compReg.groups.materials_inline);
                 } else {
                     console.log('no material inline')
                     const matReg = this.#materials.exec(rest);
                     console.log(matReg);
                     if (matReg?.groups?.materials) {
-                        spellObj.system.materials.value = matReg.groups.materials;
-                        rest.replace(this.#materials, "")
+                        spellObj.system.materials = schemaMapper.mapSpellMaterials(matReg.groups.materials);
+                        rest = rest.replace(this.#materials, "")
                     }
                 }
             } else {
@@ -526,7 +801,7 @@ export class spbiParser {
                 spellObj.system.components.vocal = compReg.groups.vocal ? true : false;
                 spellObj.system.components.material = compReg.groups.material ? true : false;
                 spellObj.system.components.somatic = compReg.groups.somatic ? true : false;
-                spellObj.system.materials.value = compReg.groups.components ? compReg.groups.components : "";
+                spellObj.system.materials.value = compReg.groups.materials_inline ? compReg.groups.materials_inline : "";
             }
         }
         return rest.replace(this.#comps, "");
@@ -543,17 +818,24 @@ export class spbiParser {
         if (rangeReg) {
             spbiUtils.log(rangeReg.groups.amount);
             range.value = rangeReg.groups.amount ? rangeReg.groups.amount : null;
-            range.units = this.rangeUnitsMap[rangeReg.groups.units.toLowerCase()];
+            range.units = rangeReg.groups.units ? this.rangeUnitsMap[rangeReg.groups.units.toLowerCase()] : "";
             spellObj.system.range = range;
         }
-        if (rangeReg.groups.area_amount) {
-            var target = {
-                type: rangeReg.groups.area_shape ? this.targetAreaMap[rangeReg.groups.area_shape.toLowerCase()] : "",
-                units: rangeReg.groups.area_units ? this.rangeUnitsMap[rangeReg.groups.area_units.toLowerCase()] : "",
-                value: rangeReg.groups.area_amount ? rangeReg.groups.area_amount : 0
-            };
-            spellObj.system.target = target;
 
+        // the area can be in the range parenthetical or anywhere in the description, "Self (15-foot cone)"
+        const rangeText = rangeReg
+            ? [rangeReg.groups.amount, rangeReg.groups.units].filter(part => part).join(" ") + (rangeReg.groups.area ? ` (${rangeReg.groups.area})` : "")
+            : "";
+        const target = activityBuilder.parseTarget(rangeText, rest.replace(this.#range, ""));
+        if (foundry.utils.isNewerVersion(game.system.version, '3.3.1')) {
+            spellObj.system.target = target;
+        } else if (target.template.type) {
+            spellObj.system.target = {
+                type: this.targetAreaMap[target.template.type] ?? target.template.type,
+                units: target.template.units,
+                value: target.template.size,
+                width: target.template.width || null
+            };
         }
 
         return rest.replace(this.#range, "");
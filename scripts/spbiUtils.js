@@ -104,6 +104,8 @@ export class spbiUtils {
         if (item) {
             const itemDoc = await pack.getDocument(item._id);
             result = itemDoc.toObject();
+            // Remember where the item came from so activities can link to it
+            foundry.utils.setProperty(result, "_stats.compendiumSource", itemDoc.uuid);
         }
 
         return result;
@@ -155,6 +157,44 @@ export class spbiUtils {
         return result;
     }
 
+    // slugify("Oath of Devotion") => "oath-of-devotion"
+    static slugify(string) {
+        if (!string) return "";
+
+        return string.trim().toLowerCase()
+            .replace(/['’]/g, "")
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "");
+    }
+
+    // parseNumberWord("three") => 3, parseNumberWord("12") => 12
+    static parseNumberWord(string) {
+        if (!string) return null;
+
+        const words = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve"];
+        const lower = string.trim().toLowerCase();
+        const index = words.indexOf(lower === "a" || lower === "an" ? "one" : lower);
+        if (index > -1) return index;
+
+        const parsed = parseInt(lower);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    // stripMarkdownAndCleanInput("## Goblin\r\n\r\n**Armor Class** 15") => "Goblin\nArmor Class 15"
+    static stripMarkdownAndCleanInput(string) {
+        if (!string) return "";
+
+        return string
+            .replace(/\r\n?/g, "\n")
+            .replace(/^\s*(?:#+|>+)\s*/gm, "")
+            .replace(/^\s*\|?\s*:?-{3,}.*$/gm, "")
+            .replace(/\*+|_{2,}|\|/g, " ")
+            .split("\n")
+            .map(line => line.replace(/\s+/g, " ").trim())
+            .filter(line => line !== "")
+            .join("\n");
+    }
+
     static exactMatch(string, regex) {
         const match = string.match(regex);
         return match && match[0] === string;
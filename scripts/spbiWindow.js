@@ -19,6 +19,9 @@ import {
 import {
     schemaMapper
 } from "./data/schemaMapper.js";
+import {
+    spellListManager
+} from "./data/spellListManager.js";
 
 
 export class spbiWindow extends Application {
@@ -29,6 +32,8 @@ export class spbiWindow extends Application {
         this.selectedItems = new Set();
         this.pdfFile = null;
         this.activeTab = "text";
+        this.detectedSource = null;
+        this.detectedType = null;
     }
 
     static get defaultOptions() {
@@ -69,12 +74,46 @@ export class spbiWindow extends Application {
             folderSelect.add(new Option(folder.name));
         }
 
+        // Setup spell list journal select, the configured journal is created on import if missing
+        const spellListSelect = $("#spbi-spell-list")[0];
+        const currentJournal = spellListManager.journalName;
+        spellListSelect.add(new Option(game.i18n.localize('5e-items-importer.spellListNone'), ""));
+        for (const journal of game.journal) {
+            spellListSelect.add(new Option(journal.name, journal.name, false, journal.name === currentJournal));
+        }
+        if (currentJournal && !game.journal.getName(currentJournal)) {
+            const label = spbiUtils.format(game.i18n.localize('5e-items-importer.spellListNew'), currentJournal);
+            spellListSelect.add(new Option(label, currentJournal, false, true));
+        }
+        if (!currentJournal) spellListSelect.value = "";
+
+        $(spellListSelect).on('change', async (ev) => {
+            await game.settings.set("5e-items-importer", spellListManager.SETTING, ev.target.value);
+        });
+
+        // Spell scroll toggle, remembered per client
+        $("#spbi-spell-scroll")
+            .prop("checked", game.settings.get("5e-items-importer", spbiParser.SCROLL_SETTING))
+            .on('change', async (ev) => {
+                await game.settings.set("5e-items-importer", spbiParser.SCROLL_SETTING, ev.target.checked);
+            });
+
         // Tab navigation
         html.find('.tabs .item').click(ev => {
             const tab = $(ev.currentTarget).data('tab');
             this.activateTab(html, tab);
         });
 
+        // Text block detection, editing the text invalidates the detected blocks
+        html.find('#spbi-detect-button').on('click', () => {
+            this.detectTextBlocks(html);
+        });
+
+        html.find('#spbi-input').on('input', () => {
+            if (this.detectedSource === 'text') this.clearDetectedItems();
+            this.updateDetectedType(html);
+        });
+
         // PDF upload handling
         const pdfUploadArea = html.find('.spbi-upload-area');
         const pdfInput = html.find('#spbi-pdf-input');
@@ -153,6 +192,7 @@ export class spbiWindow extends Application {
             At Higher Levels: For each spell slot used higher than 1st level, the damage increases by 1d6.
             `
             $("#spbi-input").val(stringToTest);
+            this.updateDetectedType(html);
         }
     }
 
@@ -171,6 +211,98 @@ export class spbiWindow extends Application {
         html.find(`.tab[data-tab="${tabName}"]`).addClass('active');
         
         this.activeTab = tabName;
+        
+        // The detected items list belongs to the tab that filled it
+        $("#spbi-items-container").toggleClass('hidden', !(this.detectedSource === tabName && this.detectedItems.length > 0));
+    }
+
+    /**
+     * Detect the content type of the text input and preselect it in the import type dropdown
+     * The dropdown is only changed when the detected type changes, so a manual choice sticks while typing
+     * @param {jQuery} html - The HTML element
+     */
+    updateDetectedType(html) {
+        const content = html.find('#spbi-input').val();
+        const detected = content.trim() ? contentDetector.detectBlockType(content) : null;
+        const label = html.find('#spbi-detected-type');
+        
+        if (!detected) {
+            label.text(content.trim() ? game.i18n.localize('5e-items-importer.detectedNone') : "");
+            this.detectedType = null;
+            return;
+        }
+        
+        label.text(spbiUtils.format(game.i18n.localize('5e-items-importer.detectedType'),
+            this.getItemTypeName(detected.type), Math.round(detected.confidence * 100)));
+        if (detected.type !== this.detectedType) {
+            html.find('#spbi-import-type').val(detected.type);
+            this.detectedType = detected.type;
+        }
+    }
+
+    /**
+     * Detect content blocks in the text input and show them for review
+     * @param {jQuery} html - The HTML element
+     */
+    detectTextBlocks(html) {
+        const content = html.find('#spbi-input').val();
+        if (!content.trim()) {
+            ui.notifications.warn("Please enter some content to import.");
+            return;
+        }
+        
+        const contentBlocks = contentDetector.detectContentBlocks(content);
+        if (contentBlocks.length === 0) {
+            this.clearDetectedItems();
+            ui.notifications.warn("No content blocks were detected in the text.");
+            return;
+        }
+        
+        this.parseContentBlocks(contentBlocks, 'text');
+        ui.notifications.info(`Found ${this.detectedItems.length} items, review them and click import.`);
+    }
+
+    /**
+     * Parse detected content blocks and show them in the items list
+     * @param {Array<Object>} contentBlocks - The blocks from contentDetector.detectContentBlocks
+     * @param {string} source - The tab the blocks were detected in
+     */
+    parseContentBlocks(contentBlocks, source) {
+        this.detectedItems = [];
+        this.detectedSource = source;
+        
+        for (const block of contentBlocks) {
+            try {
+                const parsedData = contentParser.parseContent(block.type, block.content);
+                this.detectedItems.push({
+                    type: block.type,
+                    confidence: block.confidence,
+                    data: parsedData,
+                    content: block.content,
+                    selected: true
+                });
+            } catch (error) {
+                console.error(`Error parsing ${block.type} content:`, error);
+            }
+        }
+        
+        // Select all items by default
+        this.selectedItems = new Set(this.detectedItems.map((_, index) => index));
+        
+        this.renderItemsList();
+        $("#spbi-items-container").toggleClass('hidden', this.detectedItems.length === 0);
+    }
+
+    /**
+     * Clear the detected items list
+     */
+    clearDetectedItems() {
+        this.detectedItems = [];
+        this.detectedSource = null;
+        this.selectedItems.clear();
+        
+        $("#spbi-items-list").empty();
+        $("#spbi-items-container").addClass('hidden');
     }
 
     /**
@@ -220,30 +352,9 @@ export class spbiWindow extends Application {
             
             // Parse detected content blocks
             statusText.text(`Processing ${contentBlocks.length} content blocks...`);
-            this.detectedItems = [];
-            
-            for (const block of contentBlocks) {
-                try {
-                    const parsedData = contentParser.parseContent(block.type, block.content);
-                    this.detectedItems.push({
-                        type: block.type,
-                        data: parsedData,
-                        content: block.content,
-                        selected: true
-                    });
-                } catch (error) {
-                    console.error(`Error parsing ${block.type} content:`, error);
-                }
-            }
-            
-            // Update UI with detected items
-            this.renderItemsList();
-            $("#spbi-items-container").removeClass('hidden');
+            this.parseContentBlocks(contentBlocks, 'pdf');
             statusText.text(`Found ${this.detectedItems.length} items`);
             
-            // Select all items by default
-            this.selectedItems = new Set(this.detectedItems.map((_, index) => index));
-            
         } catch (error) {
             console.error("Error processing PDF:", error);
             statusText.text('Error processing PDF');
@@ -256,13 +367,11 @@ export class spbiWindow extends Application {
      */
     clearPdf() {
         this.pdfFile = null;
-        this.detectedItems = [];
-        this.selectedItems.clear();
+        if (this.detectedSource === 'pdf') this.clearDetectedItems();
         
         // Update UI
         $("#spbi-pdf-info").addClass('hidden');
         $("#spbi-pdf-progress").addClass('hidden');
-        $("#spbi-items-container").addClass('hidden');
     }
 
     /**
@@ -279,7 +388,7 @@ export class spbiWindow extends Application {
                     <div class="spbi-item-content">
                         <div class="spbi-item-header">
                             <span class="spbi-item-name">${item.data.name}</span>
-                            <span class="spbi-item-type">${this.formatItemType(item.type)}</span>
+                            <span class="spbi-item-type">${this.formatItemType(item.type)}${item.confidence ? ` (${Math.round(item.confidence * 100)}%)` : ''}</span>
                         </div>
                         <div class="spbi-item-description">${this.getItemDescription(item)}</div>
                     </div>
@@ -417,8 +526,11 @@ export class spbiWindow extends Application {
         }
         
         try {
-            if (this.activeTab === 'text') {
-                // Handle text input import (existing functionality)
+            if (this.detectedSource === this.activeTab) {
+                // Batch import the reviewed blocks, from the PDF or from the text input
+                await this.importDetectedItems(folderId);
+            } else if (this.activeTab === 'text') {
+                // Handle text input import as a single block
                 const content = $("#spbi-input").val();
                 if (!content.trim()) {
                     ui.notifications.warn("Please enter some content to import.");
@@ -435,40 +547,107 @@ export class spbiWindow extends Application {
                     case "monster":
                         await this.importMonster(content, folderId);
                         break;
+                    case "feat":
+                    case "background":
+                    case "classFeature":
+                        await this.importParsedContent(importType, content, folderId);
+                        break;
                     default:
                         console.log("switch default")
                         break;
                 }
                 ui.notifications.info(`Successfully imported ${importType}.`);
             } else if (this.activeTab === 'pdf') {
-                // Handle PDF import with selected items
-                if (this.selectedItems.size === 0) {
-                    ui.notifications.warn("Please select at least one item to import.");
-                    return;
+                ui.notifications.warn("Please upload a PDF file to import.");
+            }
+        } catch (error) {
+            console.error("Import error:", error);
+            ui.notifications.error(`Error during import: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import a single block through the content parser, for the types the spell and item parsers don't cover
+     * @param {string} type - The content type
+     * @param {string} content - The content text
+     * @param {string} folderId - The folder to create the item in
+     */
+    async importParsedContent(type, content, folderId) {
+        const parsedData = contentParser.parseContent(type, content);
+        const mappedData = schemaMapper.mapToFoundrySchema(type, parsedData);
+        
+        const created = await Item.create({
+            ...mappedData,
+            folder: folderId
+        });
+        created.sheet.render(true);
+    }
+
+    /**
+     * Import a monster statblock as an NPC actor
+     * @param {string} content - The statblock text
+     * @param {string} folderId - The Actor folder to create the actor in
+     */
+    async importMonster(content, folderId) {
+        const parsedData = contentParser.parseContent("monster", content);
+        const monsterData = schemaMapper.mapToFoundrySchema("monster", parsedData);
+
+        const actor = await schemaMapper.createMonsterActor(monsterData, folderId);
+        actor?.sheet.render(true);
+    }
+
+    /**
+     * Import the selected detected items
+     * @param {string} folderId - The folder to create the items in
+     */
+    async importDetectedItems(folderId) {
+        if (this.selectedItems.size === 0) {
+            ui.notifications.warn("Please select at least one item to import.");
+            return;
+        }
+        
+        let importCount = 0;
+        for (const index of this.selectedItems) {
+            const item = this.detectedItems[index];
+            if (!item) continue;
+            
+            try {
+                // Map the data to Foundry schema
+                const mappedData = schemaMapper.mapToFoundrySchema(item.type, item.data);
+                if (item.type === "monster") {
+                    // Monsters are actors, they only go in the chosen folder when it is an Actor folder
+                    const actorFolder = game.folders.get(folderId)?.type === "Actor" ? folderId : null;
+                    if (await schemaMapper.createMonsterActor(mappedData, actorFolder)) importCount++;
+                    continue;
+                }
+                if (item.type === "item") {
+                    await spbiParser.addCastActivities(mappedData, item.data.content || item.data.description);
                 }
+                const documents = item.type === "item"
+                    ? await spbiParser.resolveVariants(await spbiParser.resolveBaseItems(mappedData, item.data.subtype),
+                        item.data.content || item.data.description, { header: item.data.name })
+                    : [mappedData];
                 
-                let importCount = 0;
-                for (const index of this.selectedItems) {
-                    const item = this.detectedItems[index];
-                    if (!item) continue;
-                    
-                    // Map the data to Foundry schema
-                    const mappedData = schemaMapper.mapToFoundrySchema(item.type, item.data);
-                    
-                    // Create the item in Foundry
-                    await Item.create({
-                        ...mappedData,
-                        folder: selectedFolderId
-                    });
-                    
-                    importCount++;
+                // Create the item in Foundry
+                const created = await Item.create(documents.map(data => ({
+                    ...data,
+                    folder: folderId
+                })));
+                if ((item.type === "spell") && item.data.classes) {
+                    await spellListManager.addSpell(created[0], item.data.classes);
+                }
+                if ((item.type === "spell") && game.settings.get("5e-items-importer", spbiParser.SCROLL_SETTING)) {
+                    if (await spbiParser.createSpellScroll(created[0], folderId)) importCount++;
                 }
                 
-                ui.notifications.info(`Successfully imported ${importCount} items.`);
+                importCount += created.length;
+            } catch (error) {
+                // One broken block shouldn't stop the rest of the batch
+                console.error(`Error importing ${item.data?.name}:`, error);
+                ui.notifications.error(`Error importing ${item.data?.name}: ${error.message}`);
             }
-        } catch (error) {
-            console.error("Import error:", error);
-            ui.notifications.error(`Error during import: ${error.message}`);
         }
+        
+        ui.notifications.info(`Successfully imported ${importCount} items.`);
     }
 }